@@ -1,6 +1,6 @@
 // Audio context and nodes
 let audioContext = null;
-let analyser = null;
+let pitchNode = null;
 let micStream = null;
 
 // State
@@ -10,14 +10,51 @@ let animationId = null;
 // Note frequencies
 const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 
-// Note types: whole, half, quarter, eighth (and dotted variants)
+// Note types: whole to thirty-second (and dotted variants), named as in MusicXML <type>
 const NOTE_TYPES = {
     WHOLE: 'whole',
     HALF: 'half',
     QUARTER: 'quarter',
-    EIGHTH: 'eighth'
+    EIGHTH: 'eighth',
+    SIXTEENTH: '16th',
+    THIRTY_SECOND: '32nd'
 };
 
+// Length of each note type in quarter notes
+const NOTE_TYPE_QUARTERS = {
+    [NOTE_TYPES.WHOLE]: 4,
+    [NOTE_TYPES.HALF]: 2,
+    [NOTE_TYPES.QUARTER]: 1,
+    [NOTE_TYPES.EIGHTH]: 0.5,
+    [NOTE_TYPES.SIXTEENTH]: 0.25,
+    [NOTE_TYPES.THIRTY_SECOND]: 0.125
+};
+
+// Written shapes (note type and dot) for lengths in quarter notes, longest first
+const DURATION_SHAPES = [
+    { quarters: 4, noteType: NOTE_TYPES.WHOLE, dotted: false },
+    { quarters: 3, noteType: NOTE_TYPES.HALF, dotted: true },
+    { quarters: 2, noteType: NOTE_TYPES.HALF, dotted: false },
+    { quarters: 1.5, noteType: NOTE_TYPES.QUARTER, dotted: true },
+    { quarters: 1, noteType: NOTE_TYPES.QUARTER, dotted: false },
+    { quarters: 0.75, noteType: NOTE_TYPES.EIGHTH, dotted: true },
+    { quarters: 0.5, noteType: NOTE_TYPES.EIGHTH, dotted: false },
+    { quarters: 0.375, noteType: NOTE_TYPES.SIXTEENTH, dotted: true },
+    { quarters: 0.25, noteType: NOTE_TYPES.SIXTEENTH, dotted: false },
+    { quarters: 0.125, noteType: NOTE_TYPES.THIRTY_SECOND, dotted: false }
+];
+
+// Articulations read from scores, named as in MusicXML, and the part of the written length
+// that is actually sung for the shortening ones
+const ARTICULATIONS = ['staccato', 'staccatissimo', 'spiccato', 'tenuto', 'accent', 'strong-accent'];
+const SOUNDED_FRACTIONS = { 'staccato': 0.5, 'spiccato': 0.5, 'staccatissimo': 0.25 };
+
+// Length of the unscored gap after a breath mark or caesura, in quarter notes
+const BREATH_GAP_QUARTERS = { breath: 0.5, caesura: 1 };
+
+// Maximum percentage points lost for singing through an entire rest
+const REST_PENALTY_POINTS = 5;
+
 // Predefined sequences (durations in ms at 90 BPM reference tempo)
 // Quarter note = 667ms, Eighth note = 333ms at 90 BPM
 const sequences = {
@@ -116,18 +153,278 @@ const sequences = {
     'custom': {
         name: 'Custom',
         notes: []
+    },
+    'abc': {
+        name: 'ABC Notation',
+        notes: [],
+        hasRepeats: false
     }
 };
 
+// The built-in exercises, as opposed to imports (custom, ABC and library scores added later)
+const BUILT_IN_SEQUENCE_IDS = Object.keys(sequences).filter(id => id !== 'custom' && id !== 'abc');
+
+// =============================================================================
+// COMPRESSED MUSICXML (.mxl) SUPPORT
+// An .mxl file is a ZIP archive whose META-INF/container.xml points at the score
+// =============================================================================
+
+// Read a MusicXML file (plain or compressed) and return the score as an XML string
+async function readMusicXMLFile(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+
+    // ZIP archives start with the local file header signature "PK\x03\x04"
+    const isZip = bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+    if (!isZip) {
+        if (file.name.toLowerCase().endsWith('.mxl')) {
+            throw new Error('Corrupt .mxl archive: file is not a ZIP container');
+        }
+        return decodeXMLBytes(bytes);
+    }
+
+    const entries = readZipEntries(bytes);
+
+    // container.xml names the root score; fall back to the first XML file outside META-INF
+    let rootPath = null;
+    const containerEntry = entries.find(e => e.name === 'META-INF/container.xml');
+    if (containerEntry) {
+        const containerXML = decodeXMLBytes(await extractZipEntry(bytes, containerEntry));
+        const containerDoc = new DOMParser().parseFromString(containerXML, 'text/xml');
+        if (containerDoc.querySelector('parsererror')) {
+            throw new Error('Corrupt .mxl archive: META-INF/container.xml is not valid XML');
+        }
+        const rootfiles = Array.from(containerDoc.querySelectorAll('rootfile'));
+        // The first rootfile is the score; later ones may be PDFs or images
+        const scoreRootfile = rootfiles.find(rf => {
+            const mediaType = rf.getAttribute('media-type');
+            return !mediaType || mediaType === 'application/vnd.recordare.musicxml+xml';
+        });
+        if (scoreRootfile) {
+            rootPath = scoreRootfile.getAttribute('full-path');
+        }
+    }
+    if (!rootPath) {
+        const fallback = entries.find(e => !e.name.startsWith('META-INF/') && /\.(xml|musicxml)$/i.test(e.name));
+        if (!fallback) {
+            throw new Error('Corrupt .mxl archive: no MusicXML score found');
+        }
+        rootPath = fallback.name;
+    }
+
+    const scoreEntry = entries.find(e => e.name === rootPath);
+    if (!scoreEntry) {
+        throw new Error(`Corrupt .mxl archive: score "${rootPath}" listed in container.xml is missing`);
+    }
+
+    return decodeXMLBytes(await extractZipEntry(bytes, scoreEntry));
+}
+
+// Decode XML bytes to a string, honouring a UTF-16 byte order mark
+function decodeXMLBytes(bytes) {
+    if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return new TextDecoder('utf-16le').decode(bytes);
+    }
+    if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return new TextDecoder('utf-16be').decode(bytes);
+    }
+    return new TextDecoder('utf-8').decode(bytes);
+}
+
+// List the entries of a ZIP archive from its central directory
+// Returns array of {name, flags, method, compressedSize, uncompressedSize, localHeaderOffset}
+function readZipEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // Find the end of central directory record (scanning back over an optional comment)
+    const EOCD_SIZE = 22;
+    let eocdOffset = -1;
+    const searchStart = Math.max(0, bytes.length - EOCD_SIZE - 0xFFFF);
+    for (let i = bytes.length - EOCD_SIZE; i >= searchStart; i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            eocdOffset = i;
+            break;
+        }
+    }
+    if (eocdOffset === -1) {
+        throw new Error('Corrupt .mxl archive: end of central directory not found (file may be truncated)');
+    }
+
+    const entryCount = view.getUint16(eocdOffset + 10, true);
+    const directoryOffset = view.getUint32(eocdOffset + 16, true);
+    if (directoryOffset === 0xFFFFFFFF) {
+        throw new Error('Unsupported .mxl archive: ZIP64 archives are not supported');
+    }
+
+    const decoder = new TextDecoder('utf-8');
+    const entries = [];
+    let offset = directoryOffset;
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014B50) {
+            throw new Error('Corrupt .mxl archive: invalid central directory entry');
+        }
+
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const uncompressedSize = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localHeaderOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        entries.push({ name, flags, method, compressedSize, uncompressedSize, localHeaderOffset });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+// Extract (and inflate if needed) a single ZIP entry's data
+async function extractZipEntry(bytes, entry) {
+    if (entry.flags & 0x1) {
+        throw new Error(`Unsupported .mxl archive: "${entry.name}" is encrypted`);
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const headerOffset = entry.localHeaderOffset;
+    if (headerOffset + 30 > bytes.length || view.getUint32(headerOffset, true) !== 0x04034B50) {
+        throw new Error(`Corrupt .mxl archive: bad local header for "${entry.name}"`);
+    }
+
+    // Local header name/extra lengths can differ from the central directory copy
+    const nameLength = view.getUint16(headerOffset + 26, true);
+    const extraLength = view.getUint16(headerOffset + 28, true);
+    const dataStart = headerOffset + 30 + nameLength + extraLength;
+    const dataEnd = dataStart + entry.compressedSize;
+    if (dataEnd > bytes.length) {
+        throw new Error(`Corrupt .mxl archive: "${entry.name}" is truncated`);
+    }
+    const data = bytes.subarray(dataStart, dataEnd);
+
+    let result;
+    if (entry.method === 0) {
+        // Stored (no compression)
+        result = data;
+    } else if (entry.method === 8) {
+        result = await inflateRaw(data, entry.name);
+    } else {
+        throw new Error(`Unsupported .mxl archive: "${entry.name}" uses compression method ${entry.method}`);
+    }
+
+    if (result.length !== entry.uncompressedSize) {
+        throw new Error(`Corrupt .mxl archive: "${entry.name}" has the wrong size after decompression`);
+    }
+    return result;
+}
+
+// Inflate raw DEFLATE data using the browser's built-in DecompressionStream
+async function inflateRaw(data, name) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot open compressed .mxl files - export as uncompressed MusicXML instead');
+    }
+    try {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch (err) {
+        throw new Error(`Corrupt .mxl archive: could not decompress "${name}"`);
+    }
+}
+
+// MusicXML comes in two layouts: score-partwise (part > measure > note) and
+// score-timewise (measure > part > note). The helpers below hide the difference by
+// treating the element that holds one part's content for one measure as "the measure":
+// a <measure> in partwise files, and the <part> inside a <measure> in timewise files
+function isTimewiseScore(doc) {
+    return doc.documentElement.tagName === 'score-timewise';
+}
+
+// Get the ids of the parts that have music, in score order
+function getScorePartIds(doc) {
+    const partEls = isTimewiseScore(doc)
+        ? Array.from(doc.documentElement.children)
+            .filter(el => el.tagName === 'measure')
+            .flatMap(measure => Array.from(measure.children).filter(el => el.tagName === 'part'))
+        : Array.from(doc.documentElement.children).filter(el => el.tagName === 'part');
+    const ids = [];
+    partEls.forEach(el => {
+        const id = el.getAttribute('id') || '';
+        if (!ids.includes(id)) ids.push(id);
+    });
+    return ids;
+}
+
+// Get one part's measure contents in order (see above for what a "measure" is in each layout)
+function getPartMeasures(doc, partId) {
+    if (isTimewiseScore(doc)) {
+        return Array.from(doc.documentElement.children)
+            .filter(el => el.tagName === 'measure')
+            .map(measure => Array.from(measure.children).find(el => el.tagName === 'part' && el.getAttribute('id') === partId))
+            .filter(Boolean);
+    }
+    const part = Array.from(doc.documentElement.children)
+        .find(el => el.tagName === 'part' && el.getAttribute('id') === partId);
+    return part ? Array.from(part.children).filter(el => el.tagName === 'measure') : [];
+}
+
+// Get the printed number of a measure from getPartMeasures (timewise files number the enclosing <measure>)
+function getMeasureNumber(measureEl, measureIndex) {
+    const numbered = measureEl.tagName === 'part' ? measureEl.parentElement : measureEl;
+    return numbered.getAttribute('number') || String(measureIndex + 1);
+}
+
+// Import issues
+// The MusicXML importer reports what it could not read or chose to skip as issues:
+// {severity: 'error' | 'warning', message, measure, location}, where measure is the printed
+// measure number (null outside a measure) and location an XPath-like path to the element,
+// e.g. /score-partwise/part[@id="P1"]/measure[@number="3"]/note[2]
+
+// Get an XPath-like path to an element: ids and measure numbers where present, else sibling positions
+function getElementPath(el) {
+    const steps = [];
+    for (let node = el; node && node.nodeType === 1; node = node.parentNode) {
+        let step = node.tagName;
+        if (node.hasAttribute('id')) {
+            step += `[@id="${node.getAttribute('id')}"]`;
+        } else if (node.tagName === 'measure' && node.hasAttribute('number')) {
+            step += `[@number="${node.getAttribute('number')}"]`;
+        } else if (node.parentNode && node.parentNode.nodeType === 1) {
+            const siblings = Array.from(node.parentNode.children).filter(c => c.tagName === node.tagName);
+            if (siblings.length > 1) step += `[${siblings.indexOf(node) + 1}]`;
+        }
+        steps.unshift(step);
+    }
+    return '/' + steps.join('/');
+}
+
+// Describe an issue found at an element (or in the file as a whole)
+function createImportIssue(severity, message, el = null) {
+    const measureEl = el ? el.closest('measure') : null;
+    return {
+        severity,
+        message,
+        measure: measureEl ? measureEl.getAttribute('number') : null,
+        location: el ? getElementPath(el) : null
+    };
+}
+
+// Make an import error that carries the issues found before it failed
+function createImportError(message, issues = [], el = null) {
+    const error = new Error(message);
+    error.issues = [...issues, createImportIssue('error', message, el)];
+    return error;
+}
+
 // MusicXML Parser - Get list of parts from a MusicXML document
 function getMusicXMLParts(xmlString) {
     const parser = new DOMParser();
     const doc = parser.parseFromString(xmlString, 'text/xml');
 
-    // Check for parsing errors
+    // Check for parsing errors (the parser's own description says where the XML broke)
     const parseError = doc.querySelector('parsererror');
     if (parseError) {
-        throw new Error('Invalid MusicXML file');
+        const detail = parseError.textContent.replace(/\s+/g, ' ').trim().slice(0, 300);
+        throw createImportError('Invalid MusicXML file', detail ? [createImportIssue('error', detail)] : []);
     }
 
     // Get part list with names
@@ -145,1232 +442,3782 @@ function getMusicXMLParts(xmlString) {
 
     // Fallback: get parts directly if no part-list
     if (parts.length === 0) {
-        const partEls = doc.querySelectorAll('part');
-        partEls.forEach((p, i) => {
-            const id = p.getAttribute('id') || `part-${i + 1}`;
+        getScorePartIds(doc).forEach((id, i) => {
             parts.push({ id, name: `Part ${i + 1}` });
         });
     }
 
     if (parts.length === 0) {
-        throw new Error('No parts found in MusicXML');
+        const root = doc.documentElement;
+        const issues = /^score-(partwise|timewise)$/.test(root.tagName) ? []
+            : [createImportIssue('error', `Root element is <${root.tagName}>, not <score-partwise> or <score-timewise>`, root)];
+        throw createImportError('No parts found in MusicXML', issues);
     }
 
     return { doc, parts };
 }
 
 // MusicXML Parser - Parse notes from a specific part
-function parseMusicXMLPart(doc, partId) {
-    // Get the specified part
-    const part = doc.querySelector(`part[id="${partId}"]`);
-    if (!part) {
-        throw new Error(`Part "${partId}" not found`);
+// With expandRepeats, repeats, voltas and D.C./D.S./coda jumps are unrolled into playback order;
+// without, the score is sung once straight through (taking the final volta)
+// Only one line ({staff, voice}, from getMusicXMLLines) is extracted - the first one if not given
+function parseMusicXMLPart(doc, partId, expandRepeats = true, line = null) {
+    // Get the specified part's measures
+    const measures = getPartMeasures(doc, partId);
+    if (measures.length === 0) {
+        throw createImportError(`Part "${partId}" not found`);
     }
 
-    // Get tempo (default to 120 BPM if not specified)
-    let tempo = 120;
-    const soundEl = doc.querySelector('sound[tempo]');
-    if (soundEl) {
-        tempo = parseFloat(soundEl.getAttribute('tempo'));
+    // What was skipped or guessed at, reported once per element even when repeats revisit it
+    const issues = [];
+    const reported = new Set();
+    function warn(message, el) {
+        const issue = createImportIssue('warning', message, el);
+        const key = `${issue.location}|${message}`;
+        if (reported.has(key)) return;
+        reported.add(key);
+        issues.push(issue);
     }
 
-    // Get divisions (how many divisions per quarter note)
-    const divisionsEl = doc.querySelector('divisions');
-    const divisions = divisionsEl ? parseInt(divisionsEl.textContent) : 1;
+    const selectedLine = line || getMusicXMLLines(doc, partId)[0] || { staff: '1', voice: '1' };
 
-    // Get time signature (default to 4/4)
-    let timeBeats = 4;
-    let timeBeatType = 4;
-    const timeEl = doc.querySelector('time');
-    if (timeEl) {
-        const beatsEl = timeEl.querySelector('beats');
-        const beatTypeEl = timeEl.querySelector('beat-type');
-        if (beatsEl) timeBeats = parseInt(beatsEl.textContent);
-        if (beatTypeEl) timeBeatType = parseInt(beatTypeEl.textContent);
-    }
+    // Divisions (how many divisions per quarter note) - each part declares its own
+    // in <attributes>, and may re-declare them in any later measure
+    let divisions = getInitialDivisions(doc);
+
+    // Tempo starts at 120 BPM unless marked; every later marking updates it
+    const tempoMarks = collectTempoMarks(doc);
+    let nextTempoMark = 0;
+    let tempo = 120;
+    const tempoMap = [];
+
+    // Time signature timeline (4/4 unless the part declares one)
+    let timeSignature = { beats: 4, beatType: 4 };
+    const timeSignatures = [];
 
-    // Calculate ms per division
-    const msPerBeat = 60000 / tempo; // ms per quarter note
-    const msPerDivision = msPerBeat / divisions;
+    // Key signature timeline (C major / no accidentals unless the part declares one)
+    let keyFifths = 0;
+    const keySignatures = [];
+
+    // Interval from written to sounding pitch, for transposing instruments (empty if the part is in concert pitch)
+    let transposition = { diatonic: 0, chromatic: 0 };
+    const transpositions = [];
+
+    // Calculate ms per division (recalculated on every tempo or divisions change)
+    let msPerDivision = 60000 / tempo / divisions;
 
     const notes = [];
 
-    // Process all measures
-    const measures = part.querySelectorAll('measure');
-    measures.forEach(measure => {
-        const noteEls = measure.querySelectorAll('note');
-        noteEls.forEach(noteEl => {
-            // Skip rests
-            if (noteEl.querySelector('rest')) return;
+    // Note waiting for the continuation of a tie (or null)
+    let openTie = null;
+
+    // Tuplet group being read (or null), and grace notes waiting for the note they lead into
+    let openTuplet = null;
+    let pendingGraceNotes = [];
+
+    // Apply an <attributes> element: divisions and time signature changes
+    function applyAttributes(attributesEl, measureNumber) {
+        const divisionsEl = attributesEl.querySelector('divisions');
+        if (divisionsEl) {
+            divisions = parseInt(divisionsEl.textContent);
+            if (!(divisions > 0)) {
+                warn(`Invalid divisions "${divisionsEl.textContent.trim()}"; using 1 per quarter note`, divisionsEl);
+                divisions = 1;
+            }
+            msPerDivision = 60000 / tempo / divisions;
+        }
+
+        const fifthsEl = attributesEl.querySelector('key fifths');
+        const fifths = fifthsEl ? parseInt(fifthsEl.textContent) || 0 : keyFifths;
+        if (fifths !== keyFifths) {
+            keyFifths = fifths;
 
-            // Skip chord notes (only take the first note of a chord)
-            if (noteEl.querySelector('chord')) return;
+            const last = keySignatures[keySignatures.length - 1];
+            if (last && last.noteIndex === notes.length) {
+                last.fifths = keyFifths;
+            } else {
+                keySignatures.push({ noteIndex: notes.length, measure: measureNumber, fifths: keyFifths });
+            }
+        }
 
-            // Get pitch
-            const pitchEl = noteEl.querySelector('pitch');
-            if (!pitchEl) return;
+        const transposeEl = attributesEl.querySelector('transpose');
+        if (transposeEl) {
+            const interval = parseTranspose(transposeEl);
+            if (interval.diatonic !== transposition.diatonic || interval.chromatic !== transposition.chromatic) {
+                transposition = interval;
 
-            const step = pitchEl.querySelector('step')?.textContent || 'C';
-            const octave = parseInt(pitchEl.querySelector('octave')?.textContent || '4');
-            const alter = parseInt(pitchEl.querySelector('alter')?.textContent || '0');
-
-            // Convert alter to sharp/flat
-            let noteName = step;
-            if (alter === 1) noteName += '#';
-            else if (alter === -1) {
-                // Convert flat to equivalent sharp
-                const flatToSharp = { 'D': 'C#', 'E': 'D#', 'G': 'F#', 'A': 'G#', 'B': 'A#' };
-                if (flatToSharp[step]) {
-                    noteName = flatToSharp[step];
+                const last = transpositions[transpositions.length - 1];
+                if (last && last.noteIndex === notes.length) {
+                    Object.assign(last, transposition);
+                } else {
+                    transpositions.push({ noteIndex: notes.length, measure: measureNumber, ...transposition });
                 }
             }
+        }
+
+        const timeEl = attributesEl.querySelector('time');
+        if (timeEl) {
+            const newTimeSignature = parseTimeSignature(timeEl, timeSignature);
+            if (newTimeSignature === timeSignature) {
+                warn(`Unreadable time signature ignored; staying in ${timeSignature.beats}/${timeSignature.beatType}`, timeEl);
+            }
+            if (newTimeSignature.beats === timeSignature.beats && newTimeSignature.beatType === timeSignature.beatType) return;
+            timeSignature = newTimeSignature;
+
+            // A change declared before the same note replaces the earlier entry
+            const last = timeSignatures[timeSignatures.length - 1];
+            if (last && last.noteIndex === notes.length) {
+                Object.assign(last, timeSignature);
+            } else {
+                timeSignatures.push({ noteIndex: notes.length, measure: measureNumber, ...timeSignature });
+            }
+        }
+    }
+
+    // Switch to a new tempo from the next note onwards
+    function setTempo(newTempo, measureNumber) {
+        if (newTempo === tempo) return;
+
+        tempo = newTempo;
+        msPerDivision = 60000 / tempo / divisions;
+
+        // Several markings before the same note collapse into one entry
+        const last = tempoMap[tempoMap.length - 1];
+        if (last && last.noteIndex === notes.length) {
+            last.tempo = tempo;
+        } else {
+            tempoMap.push({ noteIndex: notes.length, measure: measureNumber, tempo: tempo });
+        }
+    }
+
+    // Apply any tempo markings at or before this point in the score
+    function applyTempoMarks(measureIndex, position, measureNumber) {
+        while (nextTempoMark < tempoMarks.length) {
+            const mark = tempoMarks[nextTempoMark];
+            if (mark.measureIndex > measureIndex || (mark.measureIndex === measureIndex && mark.position > position)) break;
+            nextTempoMark++;
+            setTempo(mark.tempo, measureNumber);
+        }
+    }
+
+    // Repeat barlines and section markers, for drawing: [{noteIndex, type, text}]
+    const sectionMarks = [];
+    function addSectionMark(type, text = '') {
+        sectionMarks.push({ noteIndex: notes.length, type, text });
+    }
+
+    // Process measures in playback order
+    const structure = collectMeasureStructure(doc);
+    const playbackOrder = getMeasurePlaybackOrder(structure, measures.length, expandRepeats);
+
+    playbackOrder.forEach((measureIndex, visitIndex) => {
+        const measure = measures[measureIndex];
+        const info = structure[measureIndex];
+        const measureNumber = getMeasureNumber(measure, measureIndex);
+
+        // After a jump, pick up the attributes and tempo in force where the jump lands
+        if (visitIndex > 0 && measureIndex !== playbackOrder[visitIndex - 1] + 1) {
+            measures.slice(0, measureIndex).forEach(earlier => {
+                Array.from(earlier.children)
+                    .filter(child => child.tagName === 'attributes')
+                    .forEach(attributesEl => applyAttributes(attributesEl, measureNumber));
+            });
+            const earlierMarks = tempoMarks.filter(mark => mark.measureIndex < measureIndex);
+            setTempo(earlierMarks.length > 0 ? earlierMarks[earlierMarks.length - 1].tempo : 120, measureNumber);
+            nextTempoMark = earlierMarks.length;
+            openTie = null;
+            openTuplet = null;
+        }
+
+        if (info.forwardRepeat) addSectionMark('repeat-start');
+        if (info.endingStart) addSectionMark('ending', `${info.endingLabel}.`);
+        if (info.segno !== null) addSectionMark('text', '\uD834\uDD0B');
+        if (info.coda !== null) addSectionMark('text', '\uD834\uDD0C');
+
+        // Position within the measure in quarter notes (moved by every voice, <backup> and <forward>),
+        // where the selected line has got to, and the furthest any voice reaches
+        let position = 0;
+        let lineEnd = 0;
+        let measureEnd = 0;
+
+        // Where the selected line is silent (another voice is singing), it rests
+        function addGapRest(quarters) {
+            applyTempoMarks(measureIndex, lineEnd, measureNumber);
+            openTie = null;
+            notes.push({
+                rest: true,
+                measure: visitIndex,
+                duration: quarters * 60000 / tempo,
+                ...getRestShape(quarters)
+            });
+        }
+
+        Array.from(measure.children).forEach(child => {
+            if (child.tagName === 'attributes') {
+                applyAttributes(child, measureNumber);
+                return;
+            }
+            if (child.tagName === 'backup' || child.tagName === 'forward') {
+                const amount = parseInt(child.querySelector('duration')?.textContent || '0') / divisions;
+                position += child.tagName === 'backup' ? -amount : amount;
+                measureEnd = Math.max(measureEnd, position);
+                return;
+            }
+            if (child.tagName !== 'note') return;
+            const noteEl = child;
+
+            const staff = noteEl.querySelector('staff')?.textContent.trim() || '1';
+            const voice = noteEl.querySelector('voice')?.textContent.trim() || '1';
+            const inLine = staff === selectedLine.staff && voice === selectedLine.voice;
+
+            // Skip chord notes (only take the first note of a chord)
+            if (noteEl.querySelector('chord')) {
+                if (inLine) warn('Chord note skipped: only the first note of a chord is sung', noteEl);
+                return;
+            }
+
+            const noteStart = position;
+            position += parseInt(noteEl.querySelector('duration')?.textContent || '0') / divisions;
+            measureEnd = Math.max(measureEnd, position);
+
+            // Other voices and staves only move the position
+            if (!inLine) return;
 
-            // Get duration
+            if (noteStart > lineEnd + 1e-6) addGapRest(noteStart - lineEnd);
+            lineEnd = Math.max(lineEnd, position);
+
+            applyTempoMarks(measureIndex, noteStart, measureNumber);
+
+            const restEl = noteEl.querySelector('rest');
+            const isGrace = noteEl.querySelector('grace') !== null;
+
+            // Get duration (grace notes have none)
             const durationEl = noteEl.querySelector('duration');
-            const duration = durationEl ? parseInt(durationEl.textContent) : divisions;
+            const duration = durationEl ? parseInt(durationEl.textContent) : (isGrace ? 0 : divisions);
+            if (!durationEl && !isGrace) warn('Note has no duration; counted as a quarter note', noteEl);
             const durationMs = duration * msPerDivision;
 
-            // Get note type
-            const typeEl = noteEl.querySelector('type');
-            const typeText = typeEl?.textContent || 'quarter';
-
-            // Check for dotted
-            const dotted = noteEl.querySelector('dot') !== null;
+            // Tuplet ratio: "actual" notes are played in the time of "normal" ones
+            const timeModEl = noteEl.querySelector('time-modification');
+            const actualNotes = timeModEl ? parseInt(timeModEl.querySelector('actual-notes')?.textContent) || 3 : 1;
+            const normalNotes = timeModEl ? parseInt(timeModEl.querySelector('normal-notes')?.textContent) || 2 : 1;
 
-            // Map MusicXML type to our note types
+            // Get note type and dots (whole-measure rests usually omit <type>; other notes
+            // without one get the shape nearest their written length)
+            const typeText = noteEl.querySelector('type')?.textContent.trim();
             let noteType;
-            switch (typeText) {
-                case 'whole': noteType = NOTE_TYPES.WHOLE; break;
-                case 'half': noteType = NOTE_TYPES.HALF; break;
-                case 'quarter': noteType = NOTE_TYPES.QUARTER; break;
-                case 'eighth': noteType = NOTE_TYPES.EIGHTH; break;
-                case '16th': noteType = NOTE_TYPES.EIGHTH; break; // Treat 16th as eighth for now
-                default: noteType = NOTE_TYPES.QUARTER;
+            let dotted = noteEl.querySelector('dot') !== null;
+            if (typeText && typeText in NOTE_TYPE_QUARTERS) {
+                noteType = typeText;
+            } else if (typeText) {
+                // Longer than whole (breve, long) draws as whole; shorter than 32nd as 32nd
+                noteType = /^(breve|long|maxima)$/.test(typeText) ? NOTE_TYPES.WHOLE : NOTE_TYPES.THIRTY_SECOND;
+                warn(`Note type "${typeText}" is not supported; drawn as a ${noteType} note`, noteEl);
+            } else if (restEl) {
+                noteType = NOTE_TYPES.WHOLE;
+            } else {
+                ({ noteType, dotted } = getNoteShape(duration / divisions * actualNotes / normalNotes));
             }
 
-            notes.push({
+            // Group tuplet notes for their bracket. <tuplet> marks the ends of the bracket;
+            // without it, a group closes once it holds "actual" notes of the normal type
+            let tuplet = null;
+            if (timeModEl && !isGrace) {
+                const tupletTypes = Array.from(noteEl.querySelectorAll('notations tuplet')).map(t => t.getAttribute('type'));
+                const start = !openTuplet || tupletTypes.includes('start');
+                if (start) {
+                    const normalType = timeModEl.querySelector('normal-type')?.textContent.trim();
+                    openTuplet = {
+                        marked: tupletTypes.includes('start'),
+                        remaining: actualNotes * (NOTE_TYPE_QUARTERS[normalType] || NOTE_TYPE_QUARTERS[noteType])
+                    };
+                }
+                openTuplet.remaining -= NOTE_TYPE_QUARTERS[noteType] * (dotted ? 1.5 : 1);
+                const stop = tupletTypes.includes('stop') || (!openTuplet.marked && openTuplet.remaining < 1e-6);
+                tuplet = { actual: actualNotes, normal: normalNotes, start, stop };
+                if (stop) openTuplet = null;
+            } else if (!isGrace) {
+                openTuplet = null;
+            }
+
+            // Breath marks and caesuras add a short unscored gap after the note or rest
+            const markings = parseNotations(noteEl);
+            const addBreathGap = () => {
+                if (markings.breath) notes.push(createBreathGap(markings.breath, msPerDivision * divisions, visitIndex));
+            };
+
+            // Keep rests as timed silences so the following notes stay in rhythm
+            if (restEl) {
+                openTie = null;
+                const restEntry = {
+                    rest: true,
+                    measure: visitIndex,
+                    duration: durationMs,
+                    noteType: noteType,
+                    dotted: dotted
+                };
+                if (tuplet) restEntry.tuplet = tuplet;
+                if (markings.fermata) restEntry.fermata = true;
+                notes.push(restEntry);
+                addBreathGap();
+                return;
+            }
+
+            // Get pitch
+            const pitchEl = noteEl.querySelector('pitch');
+            if (!pitchEl) {
+                warn(noteEl.querySelector('unpitched') ? 'Unpitched (percussion) note skipped' : 'Note without a pitch skipped', noteEl);
+                return;
+            }
+
+            const stepText = pitchEl.querySelector('step')?.textContent.trim();
+            const step = stepText in naturalSemitones ? stepText : 'C';
+            if (step !== stepText) warn(`Unreadable pitch step "${stepText || ''}"; read as C`, pitchEl);
+            const octave = parseInt(pitchEl.querySelector('octave')?.textContent || '4');
+            // Microtonal alters are rounded to the nearest semitone
+            const alterValue = parseFloat(pitchEl.querySelector('alter')?.textContent || '0');
+            const alter = Math.round(alterValue);
+            if (alter !== alterValue) warn(`Microtonal alteration ${alterValue} rounded to ${alter}`, pitchEl);
+
+            // Keep the written spelling (double sharps and flats included)
+            const noteName = spellNote(step, alter);
+
+            // Grace notes take no time: they are kept with the note they lead into, drawn
+            // small before it and not scored
+            if (isGrace) {
+                pendingGraceNotes.push({ note: noteName, octave, midi: getMidiNumber(noteName, octave) });
+                return;
+            }
+
+            // Tie start/stop can come from <tie> (sound) or <tied> (notation)
+            const tieTypes = Array.from(noteEl.querySelectorAll('tie, tied')).map(t => t.getAttribute('type'));
+            const tieStart = tieTypes.includes('start') || tieTypes.includes('continue');
+            const tieStop = tieTypes.includes('stop') || tieTypes.includes('continue');
+
+            // A tied continuation extends the previous note instead of becoming a new target
+            const previous = notes[notes.length - 1];
+            if (tieStop && openTie && openTie === previous && previous.note === noteName && previous.octave === octave) {
+                if (!previous.tiedSegments) {
+                    previous.tiedSegments = [{ duration: previous.duration, noteType: previous.noteType, dotted: previous.dotted }];
+                }
+                previous.tiedSegments.push({ duration: durationMs, noteType: noteType, dotted: dotted });
+                previous.duration += durationMs;
+                // A fermata over the end of a tie holds the whole note
+                if (markings.fermata) previous.fermata = true;
+                openTie = tieStart ? previous : null;
+                addBreathGap();
+                return;
+            }
+
+            const noteEntry = {
                 note: noteName,
                 octave: octave,
+                midi: getMidiNumber(noteName, octave),
+                measure: visitIndex,
                 duration: durationMs,
                 noteType: noteType,
                 dotted: dotted
-            });
+            };
+            const lyric = parseLyric(noteEl);
+            if (lyric) noteEntry.lyric = lyric;
+            if (tuplet) noteEntry.tuplet = tuplet;
+            if (pendingGraceNotes.length > 0) {
+                noteEntry.graceNotes = pendingGraceNotes;
+                pendingGraceNotes = [];
+            }
+            if (markings.articulations.length > 0) noteEntry.articulations = markings.articulations;
+            if (markings.fermata) noteEntry.fermata = true;
+            notes.push(noteEntry);
+            openTie = tieStart ? noteEntry : null;
+            addBreathGap();
         });
+
+        // Rest through the rest of the measure if the line stops early
+        if (measureEnd > lineEnd + 1e-6) addGapRest(measureEnd - lineEnd);
+
+        if (info.backwardRepeat) addSectionMark('repeat-end');
+        if (info.toCoda !== null) addSectionMark('text', 'To Coda');
+        if (info.daCapo) addSectionMark('text', 'D.C.');
+        if (info.dalSegno !== null) addSectionMark('text', 'D.S.');
+        if (info.fine) addSectionMark('text', 'Fine');
     });
 
-    if (notes.length === 0) {
-        throw new Error('No notes found in selected part');
+    if (!notes.some(n => !n.rest)) {
+        throw createImportError('No notes found in selected part', issues);
+    }
+
+    // Both timelines always start at the first note (120 BPM and 4/4 if the score opens unmarked)
+    const firstMeasure = measures[0]?.getAttribute('number') || '1';
+    if (tempoMap.length === 0 || tempoMap[0].noteIndex > 0) {
+        tempoMap.unshift({ noteIndex: 0, measure: firstMeasure, tempo: 120 });
+    }
+    if (timeSignatures.length === 0 || timeSignatures[0].noteIndex > 0) {
+        timeSignatures.unshift({ noteIndex: 0, measure: firstMeasure, beats: 4, beatType: 4 });
+    }
+    if (keySignatures.length === 0 || keySignatures[0].noteIndex > 0) {
+        keySignatures.unshift({ noteIndex: 0, measure: firstMeasure, fifths: 0 });
+    }
+    if (transpositions.length > 0 && transpositions[0].noteIndex > 0) {
+        transpositions.unshift({ noteIndex: 0, measure: firstMeasure, diatonic: 0, chromatic: 0 });
     }
 
     return {
         notes: notes,
-        timeSignature: { beats: timeBeats, beatType: timeBeatType },
-        tempo: tempo  // The BPM at which durations were calculated
+        timeSignatures: timeSignatures,  // Time signature in effect from each noteIndex onwards
+        tempoMap: tempoMap,  // Quarter-note BPM in effect from each noteIndex onwards
+        keySignatures: keySignatures,  // Key signature (fifths) in effect from each noteIndex onwards
+        transpositions: transpositions,  // Written-to-sounding interval in effect from each noteIndex onwards
+        sectionMarks: sectionMarks,
+        issues: issues,  // Warnings about what was skipped or guessed at, for the import report
+        hasRepeats: structure.some(info => info.backwardRepeat || info.endingNumbers.length > 0 ||
+            info.daCapo || info.dalSegno !== null)
     };
 }
 
-// Sequence state
-const sequenceState = {
-    isSequenceMode: true,
-    isPlaying: false,
-    isPreviewing: false,
-    previewIndex: -1,
-    isCountingDown: false,
-    countdownStartTime: 0,
-    countdownBeatInterval: 1000,
-    countdownLastBeat: -1,
-    currentSequence: [],
-    currentNoteIndex: 0,
-    noteScores: [],
-    pitchSamplesForNote: [],
-    pitchHistory: [],          // Timeline history for visualization
-    timeOnPitch: 0,
-    // For integrated sheet music visualization
-    sequenceStartTime: 0,      // When the sequence started (after countdown)
-    globalPitchTrace: [],      // Array of {time, frequency, noteIndex} for entire sequence
-    // Time signature for beat calculation (from MusicXML or default 4/4)
-    timeSignature: { beats: 4, beatType: 4 },
-    // Source tempo - the BPM at which durations were calculated (90 for built-in, from file for MusicXML)
-    sourceTempo: 90
-};
-
-// Preview scroll animation state - uses shared scroll utilities
-const previewScrollState = {
-    animationId: null,
-    scrollParams: null,      // From calculateScrollParameters()
-    startTime: 0,            // When preview started (performance.now())
-    // Timing is synced to audio callbacks, so we track per-note timing
-    currentNoteIndex: 0,
-    noteStartTime: 0,
-    noteDuration: 0
-};
+// Read a <transpose> element into the interval from written to sounding pitch: {diatonic, chromatic}
+// in steps and semitones, with any octave change folded in. A missing <diatonic> is taken from the
+// simplest spelling of the chromatic interval
+function parseTranspose(transposeEl) {
+    const chromatic = parseInt(transposeEl.querySelector('chromatic')?.textContent) || 0;
+    const octaveChange = parseInt(transposeEl.querySelector('octave-change')?.textContent) || 0;
+    let diatonic = parseInt(transposeEl.querySelector('diatonic')?.textContent);
+    if (isNaN(diatonic)) {
+        const note = noteFromLineOfFifths(getTranspositionFifths(chromatic, 0));
+        diatonic = (getWrittenOctave(note, 60 + chromatic) - 4) * 7 + diatonicPosition[parseNoteName(note).step];
+    }
+    return { diatonic: diatonic + 7 * octaveChange, chromatic: chromatic + 12 * octaveChange };
+}
 
-function updatePreviewScroll() {
-    if (!sequenceState.isPreviewing || !previewScrollState.scrollParams) {
-        if (previewScrollState.animationId) {
-            cancelAnimationFrame(previewScrollState.animationId);
-            previewScrollState.animationId = null;
+// Read the articulations, fermata and breath mark or caesura from a <note>'s <notations>
+// Returns {articulations, fermata, breath}; breath is 'breath', 'caesura' or null
+function parseNotations(noteEl) {
+    const articulations = [];
+    noteEl.querySelectorAll('notations articulations > *').forEach(el => {
+        if (ARTICULATIONS.includes(el.tagName) && !articulations.includes(el.tagName)) {
+            articulations.push(el.tagName);
         }
-        return;
-    }
+    });
+    let breath = null;
+    if (noteEl.querySelector('notations articulations caesura')) breath = 'caesura';
+    else if (noteEl.querySelector('notations articulations breath-mark')) breath = 'breath';
+    return {
+        articulations,
+        fermata: noteEl.querySelector('notations fermata') !== null,
+        breath
+    };
+}
 
-    const params = previewScrollState.scrollParams;
-    const i = previewScrollState.currentNoteIndex;
-    const pos = params.notePositions[i];
-    if (!pos) {
-        previewScrollState.animationId = requestAnimationFrame(updatePreviewScroll);
-        return;
-    }
+// Read the first verse's syllable from a <note>
+// Returns {text, syllabic, extend} or null; syllabic is single/begin/middle/end as in MusicXML
+function parseLyric(noteEl) {
+    const lyrics = Array.from(noteEl.querySelectorAll('lyric'));
+    const lyricEl = lyrics.find(l => (l.getAttribute('number') || '1') === '1') || lyrics[0];
+    if (!lyricEl) return null;
 
-    // Calculate progress within current note based on time since note started
-    const elapsed = performance.now() - previewScrollState.noteStartTime;
-    const progress = Math.min(1, elapsed / previewScrollState.noteDuration);
+    // Elided syllables (several <text> in one lyric) are joined with an undertie
+    const text = Array.from(lyricEl.querySelectorAll('text')).map(t => t.textContent.trim()).join('\u203F');
+    if (!text) return null;
 
-    // Interpolate X position within current note using per-note spacing
-    const nextX = (i < params.notePositions.length - 1)
-        ? params.notePositions[i + 1].x
-        : pos.x + pos.spacing;
-    const currentX = pos.x + progress * (nextX - pos.x);
+    const extendEl = lyricEl.querySelector('extend');
+    return {
+        text,
+        syllabic: lyricEl.querySelector('syllabic')?.textContent.trim() || 'single',
+        extend: extendEl !== null && extendEl.getAttribute('type') !== 'stop'
+    };
+}
 
-    sequenceState.previewIndex = i;
+// List the lines (a voice on a staff) in a part that have notes to sing
+// Returns [{id, staff, voice, name}] ordered by staff, then voice
+function getMusicXMLLines(doc, partId) {
+    const lines = new Map();
+    getPartMeasures(doc, partId).flatMap(measure => Array.from(measure.querySelectorAll('note'))).forEach(noteEl => {
+        if (!noteEl.querySelector('pitch')) return;
+        const staff = noteEl.querySelector('staff')?.textContent.trim() || '1';
+        const voice = noteEl.querySelector('voice')?.textContent.trim() || '1';
+        const id = `${staff}:${voice}`;
+        if (!lines.has(id)) lines.set(id, { id, staff, voice });
+    });
 
-    // Calculate scroll offset based on current position
-    // Add padding so the current note isn't right at the edge
-    const previewPadding = params.minNoteSpacing * 2;
-    const scrollOffset = Math.min(
-        Math.max(0, currentX - params.notesStartX - previewPadding),
-        params.maxScrollNeeded
-    );
+    const sorted = Array.from(lines.values()).sort((a, b) =>
+        (parseInt(a.staff) - parseInt(b.staff)) || (parseInt(a.voice) - parseInt(b.voice)) || a.id.localeCompare(b.id));
+    const multipleStaves = new Set(sorted.map(l => l.staff)).size > 1;
+    sorted.forEach(l => {
+        l.name = multipleStaves ? `Staff ${l.staff}, voice ${l.voice}` : `Voice ${l.voice}`;
+    });
+    return sorted;
+}
 
-    drawSheetMusic(sequenceState.previewIndex, sequenceState.previewIndex, null, -1, false, 0, scrollOffset);
-    previewScrollState.animationId = requestAnimationFrame(updatePreviewScroll);
+// Build the unscored gap that follows a breath mark or caesura
+function createBreathGap(type, msPerQuarter, measure) {
+    return {
+        rest: true,
+        breath: type,
+        measure,
+        duration: BREATH_GAP_QUARTERS[type] * msPerQuarter,
+        noteType: NOTE_TYPES.EIGHTH,
+        dotted: false
+    };
 }
 
-// Called when a new note starts playing (syncs visual to audio)
-function onPreviewNoteStart(noteIndex, noteDuration) {
-    previewScrollState.currentNoteIndex = noteIndex;
-    previewScrollState.noteStartTime = performance.now();
-    previewScrollState.noteDuration = noteDuration;
+// Pick a rest symbol for a silence of a number of quarter notes
+function getRestShape(quarters) {
+    const shape = DURATION_SHAPES.find(s => quarters >= s.quarters - 1e-6);
+    return shape
+        ? { noteType: shape.noteType, dotted: shape.dotted }
+        : { noteType: NOTE_TYPES.THIRTY_SECOND, dotted: false };
 }
 
-function startPreviewScrollAnimation(scrollParams) {
-    previewScrollState.scrollParams = scrollParams;
-    previewScrollState.currentNoteIndex = 0;
-    previewScrollState.startTime = performance.now();
-    previewScrollState.noteStartTime = performance.now();
-    previewScrollState.noteDuration = scrollParams.notePositions[0]?.duration || 1000;
+// Repeat, volta and jump structure of one measure, with nothing marked
+function createMeasureStructure() {
+    return {
+        forwardRepeat: false,
+        backwardRepeat: false,
+        repeatTimes: 0,        // Explicit times="" on the backward repeat (0 = not given)
+        endingNumbers: [],     // Volta passes this measure is sung on (empty = every pass)
+        endingLabel: '',
+        endingStart: false,
+        segno: null,           // Jump target names (null = not marked here)
+        coda: null,
+        toCoda: null,
+        daCapo: false,
+        dalSegno: null,
+        fine: false
+    };
+}
 
-    if (!previewScrollState.animationId) {
-        previewScrollState.animationId = requestAnimationFrame(updatePreviewScroll);
-    }
-}
+// Collect repeat, volta and jump structure per measure index from every part
+// (like tempo, jumps such as D.C. are often only marked in the top part)
+function collectMeasureStructure(doc) {
+    const structure = [];
 
-function stopPreviewScrollAnimation() {
-    if (previewScrollState.animationId) {
-        cancelAnimationFrame(previewScrollState.animationId);
-        previewScrollState.animationId = null;
-    }
-    previewScrollState.scrollParams = null;
-}
+    getScorePartIds(doc).forEach(partId => {
+        let openEnding = null;
 
-function getFrequency(note, octave) {
-    const noteIndex = noteNames.indexOf(note);
-    const midiNote = (octave + 1) * 12 + noteIndex;
-    return 440 * Math.pow(2, (midiNote - 69) / 12);
-}
+        getPartMeasures(doc, partId).forEach((measure, measureIndex) => {
+            if (!structure[measureIndex]) {
+                structure[measureIndex] = createMeasureStructure();
+            }
+            const info = structure[measureIndex];
+
+            // A volta runs from its start barline to its stop/discontinue barline
+            let ending = openEnding;
+            measure.querySelectorAll('barline').forEach(barline => {
+                const repeat = barline.querySelector('repeat');
+                if (repeat?.getAttribute('direction') === 'forward') info.forwardRepeat = true;
+                if (repeat?.getAttribute('direction') === 'backward') {
+                    info.backwardRepeat = true;
+                    info.repeatTimes = parseInt(repeat.getAttribute('times')) || info.repeatTimes;
+                }
 
-// Current target note
-const currentNote = {
-    name: 'A4',
-    frequency: 440
-};
+                const endingEl = barline.querySelector('ending');
+                if (!endingEl) return;
+                if (endingEl.getAttribute('type') === 'start') {
+                    const label = endingEl.getAttribute('number') || '1';
+                    const numbers = label.split(/[,\s]+/).map(n => parseInt(n)).filter(n => n > 0);
+                    openEnding = ending = { numbers, label, startIndex: measureIndex };
+                } else {
+                    openEnding = null;
+                }
+            });
+            if (ending && info.endingNumbers.length === 0) {
+                info.endingNumbers = ending.numbers;
+                info.endingLabel = ending.label;
+                info.endingStart = ending.startIndex === measureIndex;
+            }
 
-// DOM elements
-const playNoteBtn = document.getElementById('play-note');
-const startBtn = document.getElementById('start-btn');
-const statusEl = document.getElementById('status');
-const pitchCanvas = document.getElementById('pitch-canvas');
-const detectedPitchEl = document.getElementById('detected-pitch');
-const detectedNoteEl = document.getElementById('detected-note');
-const centsOffEl = document.getElementById('cents-off');
-const canvasCtx = pitchCanvas.getContext('2d');
-const noteSelect = document.getElementById('note-select');
-const octaveSelect = document.getElementById('octave-select');
-const noteNameEl = document.getElementById('note-name');
-const noteFreqEl = document.getElementById('note-freq');
-const targetNoteLabelEl = document.getElementById('target-note-label');
+            measure.querySelectorAll('sound').forEach(sound => {
+                if (sound.hasAttribute('segno')) info.segno = sound.getAttribute('segno');
+                if (sound.hasAttribute('coda')) info.coda = sound.getAttribute('coda');
+                if (sound.hasAttribute('tocoda')) info.toCoda = sound.getAttribute('tocoda');
+                if (sound.hasAttribute('dalsegno')) info.dalSegno = sound.getAttribute('dalsegno');
+                if (sound.getAttribute('dacapo') === 'yes') info.daCapo = true;
+                if (sound.hasAttribute('fine')) info.fine = true;
+            });
+            if (info.segno === null && measure.querySelector('direction-type segno')) info.segno = '';
+        });
+    });
 
-// Sliding window for pitch history (time-based)
-const windowDuration = 3; // seconds
-const samplesPerSecond = 30;
-const maxSamples = windowDuration * samplesPerSecond;
-const pitchHistory = [];
+    markFinalEndings(structure);
+    return structure;
+}
 
-// Smoothing for pitch detection
-const recentPitches = [];
-const smoothingWindow = 5;
+// Within each run of adjacent voltas, mark the highest-numbered one as sung last
+function markFinalEndings(structure) {
+    let runStart = 0;
+    structure.forEach((info, i) => {
+        if (info.endingNumbers.length === 0) {
+            runStart = i + 1;
+            return;
+        }
+        const next = structure[i + 1];
+        if (next && next.endingNumbers.length > 0) return;
+
+        const run = structure.slice(runStart, i + 1);
+        const lastPass = Math.max(...run.flatMap(r => r.endingNumbers));
+        run.forEach(r => {
+            r.lastPass = lastPass;
+            r.finalEnding = r.endingNumbers.includes(lastPass);
+        });
+    });
+}
 
-// Initialize audio context
-let audioWarmedUp = false;
+// Get measure indices in the order they are sung
+// Follows repeats and voltas, then at most one D.C./D.S. jump, after which repeats are not taken
+// again and the performance stops at Fine or skips ahead at To Coda. Without expandRepeats,
+// every measure is sung once, taking only the final volta.
+function getMeasurePlaybackOrder(structure, measureCount, expandRepeats) {
+    const order = [];
+    // Guards against malformed structures that would jump forever
+    const maxVisits = measureCount * 16;
+
+    let i = 0;
+    let pass = 1;
+    let repeatStart = 0;
+    let afterJump = false;
+    let inEnding = false;
+
+    // Find a segno/coda by name, falling back to the first one marked at or after a measure
+    const findTarget = (key, name, from) => {
+        const named = structure.findIndex((info, j) => j >= from && info[key] === name);
+        return named !== -1 ? named : structure.findIndex((info, j) => j >= from && info[key] !== null);
+    };
 
-function getAudioContext() {
-    if (!audioContext) {
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    }
-    return audioContext;
-}
+    while (i < measureCount && order.length < maxVisits) {
+        const info = structure[i];
+        const takeRepeats = expandRepeats && !afterJump;
+        const isEnding = info.endingNumbers.length > 0;
 
-// Warm up audio context to avoid first-play lag - must be called from user gesture
-function warmUpAudio() {
-    if (audioWarmedUp) return Promise.resolve();
+        // A new repeated section starts at a forward repeat, or after the voltas of the previous one
+        if ((info.forwardRepeat && i !== repeatStart) || (inEnding && !isEnding)) {
+            repeatStart = i;
+            pass = 1;
+        }
+        inEnding = isEnding;
 
-    const ctx = getAudioContext();
+        if (isEnding && !(takeRepeats ? info.endingNumbers.includes(pass) : info.finalEnding)) {
+            i++;
+            continue;
+        }
 
-    // Resume if suspended (required by Chrome autoplay policy)
-    const resumePromise = ctx.state === 'suspended' ? ctx.resume() : Promise.resolve();
+        order.push(i);
 
-    return resumePromise.then(() => {
-        // Play a very short silent tone to prime the oscillator path
-        const oscillator = ctx.createOscillator();
-        const gainNode = ctx.createGain();
-        gainNode.gain.setValueAtTime(0, ctx.currentTime); // Silent
-        oscillator.connect(gainNode);
-        gainNode.connect(ctx.destination);
-        oscillator.start(ctx.currentTime);
-        oscillator.stop(ctx.currentTime + 0.01);
+        if (info.backwardRepeat) {
+            const times = info.repeatTimes || (isEnding ? info.lastPass : 2);
+            if (takeRepeats && pass < times) {
+                pass++;
+                i = repeatStart;
+                inEnding = false;
+                continue;
+            }
+            if (!isEnding) {
+                repeatStart = i + 1;
+                pass = 1;
+            }
+        }
 
-        // Also prime the noise buffer path (used for click sounds)
-        // Pre-create the click buffer
-        const bufferSize = Math.floor(ctx.sampleRate * 0.02);
-        clickBuffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
-        const data = clickBuffer.getChannelData(0);
-        for (let i = 0; i < bufferSize; i++) {
-            data[i] = Math.random() * 2 - 1;
+        if (expandRepeats && afterJump) {
+            if (info.fine) break;
+            if (info.toCoda !== null) {
+                const coda = findTarget('coda', info.toCoda, i + 1);
+                if (coda !== -1) {
+                    i = coda;
+                    continue;
+                }
+            }
         }
 
-        // Play a silent click to prime the buffer source path
-        const noise = ctx.createBufferSource();
-        noise.buffer = clickBuffer;
-        const silentGain = ctx.createGain();
-        silentGain.gain.setValueAtTime(0, ctx.currentTime);
-        noise.connect(silentGain);
-        silentGain.connect(ctx.destination);
-        noise.start(ctx.currentTime);
-        noise.stop(ctx.currentTime + 0.01);
+        if (takeRepeats && (info.daCapo || info.dalSegno !== null)) {
+            afterJump = true;
+            i = info.daCapo ? 0 : Math.max(0, findTarget('segno', info.dalSegno, 0));
+            repeatStart = i;
+            pass = 1;
+            inEnding = false;
+            continue;
+        }
 
-        audioWarmedUp = true;
-    });
+        i++;
+    }
+
+    return order;
 }
 
-// Warm up audio on first user click/touch/key (these are valid user gestures)
-function onFirstInteraction() {
-    warmUpAudio();
-    document.removeEventListener('click', onFirstInteraction);
-    document.removeEventListener('touchstart', onFirstInteraction);
-    document.removeEventListener('keydown', onFirstInteraction);
+// Divisions to assume before a part declares its own (the first declared anywhere, else 1)
+function getInitialDivisions(doc) {
+    return parseInt(doc.querySelector('divisions')?.textContent) || 1;
 }
-document.addEventListener('click', onFirstInteraction);
-document.addEventListener('touchstart', onFirstInteraction);
-document.addEventListener('keydown', onFirstInteraction);
 
-// Current preview audio state (for stopping)
-let currentPreviewAudio = null;
+// Parse a <time> element into {beats, beatType}
+// Additive meters like <beats>3+2</beats> are summed; unreadable values keep the previous signature
+function parseTimeSignature(timeEl, previous) {
+    const beatsText = timeEl.querySelector('beats')?.textContent || '';
+    const beatTypeText = timeEl.querySelector('beat-type')?.textContent || '';
+    const beats = beatsText.split('+').reduce((sum, b) => sum + (parseInt(b) || 0), 0);
+    const beatType = parseInt(beatTypeText);
 
-// Play reference tone - returns a stop function
-function playTone(frequency, duration = 1.5, callback = null) {
-    // Ensure audio is warmed up, then play
-    warmUpAudio().then(() => {
-        const ctx = getAudioContext();
+    if (beats > 0 && beatType > 0) {
+        return { beats, beatType };
+    }
+    return previous;
+}
 
-        const oscillator = ctx.createOscillator();
-        oscillator.type = 'sine';
-        oscillator.frequency.setValueAtTime(frequency, ctx.currentTime);
+// Collect tempo markings from every part, since scores often mark tempo in the top part only
+// Returns [{measureIndex, position, tempo}] sorted by time; position is in quarter notes
+// from the start of the measure and tempo is in quarter notes per minute
+function collectTempoMarks(doc) {
+    const marks = [];
+
+    getScorePartIds(doc).forEach(partId => {
+        // Each part tracks its own divisions
+        let divisions = getInitialDivisions(doc);
+
+        getPartMeasures(doc, partId).forEach((measure, measureIndex) => {
+            let position = 0;
+            Array.from(measure.children).forEach(child => {
+                if (child.tagName === 'attributes') {
+                    const divisionsEl = child.querySelector('divisions');
+                    if (divisionsEl) divisions = parseInt(divisionsEl.textContent) || 1;
+                    return;
+                }
 
-        // Calculate volume with bass boost for lower frequencies
-        // Lower notes need more gain to sound equally loud (equal-loudness compensation)
-        const baseVolume = 0.9;
-        const bassBoost = frequency < 250 ? (250 - frequency) / 250 * 0.5 : 0;
-        const volume = Math.min(1.5, baseVolume + bassBoost);
+                const duration = parseInt(child.querySelector('duration')?.textContent || '0') / divisions;
+                if (child.tagName === 'note') {
+                    if (!child.querySelector('chord')) position += duration;
+                } else if (child.tagName === 'backup') {
+                    position -= duration;
+                } else if (child.tagName === 'forward') {
+                    position += duration;
+                } else if (child.tagName === 'direction' || child.tagName === 'sound') {
+                    const tempo = getTempoFromElement(child);
+                    const duplicate = marks.some(m => m.measureIndex === measureIndex && Math.abs(m.position - position) < 1e-6);
+                    if (tempo && !duplicate) {
+                        marks.push({ measureIndex, position, tempo });
+                    }
+                }
+            });
+        });
+    });
 
-        const gainNode = ctx.createGain();
-        gainNode.gain.setValueAtTime(0, ctx.currentTime);
-        gainNode.gain.linearRampToValueAtTime(volume, ctx.currentTime + 0.05);
-        gainNode.gain.linearRampToValueAtTime(volume, ctx.currentTime + duration - 0.1);
-        gainNode.gain.linearRampToValueAtTime(0, ctx.currentTime + duration);
+    return marks.sort((a, b) => a.measureIndex - b.measureIndex || a.position - b.position);
+}
 
-        oscillator.connect(gainNode);
-        gainNode.connect(ctx.destination);
+// Read a tempo (quarter notes per minute) from a <direction> or <sound> element
+// <sound tempo> is authoritative; otherwise a <metronome> mark is converted to quarter notes
+function getTempoFromElement(el) {
+    const soundEl = el.tagName === 'sound' ? el : el.querySelector('sound');
+    if (soundEl && soundEl.hasAttribute('tempo')) {
+        const tempo = parseFloat(soundEl.getAttribute('tempo'));
+        if (tempo > 0) return tempo;
+    }
 
-        oscillator.start(ctx.currentTime);
-        oscillator.stop(ctx.currentTime + duration);
+    const metronomeEl = el.querySelector('metronome');
+    if (!metronomeEl) return null;
 
-        let timeoutId = null;
-        if (callback) {
-            timeoutId = setTimeout(callback, duration * 1000);
-            // Store reference for stopping preview
-            currentPreviewAudio = {
-                oscillator,
-                gainNode,
-                timeoutId,
-                stop: function() {
-                    if (this.timeoutId) clearTimeout(this.timeoutId);
-                    try {
-                        this.gainNode.gain.cancelScheduledValues(ctx.currentTime);
-                        this.gainNode.gain.setValueAtTime(0, ctx.currentTime);
-                        this.oscillator.stop(ctx.currentTime + 0.01);
-                    } catch (e) {
-                        // Oscillator may have already stopped
-                    }
-                }
-            };
-        } else {
-            playNoteBtn.disabled = true;
-            setTimeout(() => {
-                playNoteBtn.disabled = false;
-            }, duration * 1000);
-        }
-    });
+    const beatUnit = metronomeEl.querySelector('beat-unit')?.textContent.trim();
+    const perMinuteMatch = metronomeEl.querySelector('per-minute')?.textContent.match(/\d+(\.\d+)?/);
+    const quartersPerUnit = NOTE_TYPE_QUARTERS[beatUnit];
+    if (!perMinuteMatch || !quartersPerUnit) return null;
+
+    // Each dot adds half of the previous value (dotted = 1.5x, double-dotted = 1.75x)
+    const dots = metronomeEl.querySelectorAll('beat-unit-dot').length;
+    const dotFactor = 2 - Math.pow(0.5, dots);
+
+    return parseFloat(perMinuteMatch[0]) * quartersPerUnit * dotFactor;
 }
 
-// YIN pitch detection algorithm
-function detectPitch(buffer, sampleRate) {
-    const SIZE = buffer.length;
-    const MAX_SAMPLES = Math.floor(SIZE / 2);
+// =============================================================================
+// STANDARD MIDI FILE SUPPORT
+// Tracks are offered as parts; each is reduced to its top line of notes
+// =============================================================================
+
+// Parse a Standard MIDI File into {format, division, tracks}
+// division is ticks per quarter note; each track is {name, events} with events in tick order
+function parseMIDIFile(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const readString = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
 
-    // Find RMS
-    let rms = 0;
-    for (let i = 0; i < SIZE; i++) {
-        rms += buffer[i] * buffer[i];
+    if (bytes.length < 14 || readString(0, 4) !== 'MThd') {
+        throw new Error('Not a Standard MIDI File');
     }
-    rms = Math.sqrt(rms / SIZE);
 
-    if (rms < 0.005) {
-        return -1;
+    const headerLength = view.getUint32(4);
+    const format = view.getUint16(8);
+    const trackCount = view.getUint16(10);
+    const division = view.getUint16(12);
+    if (division & 0x8000) {
+        throw new Error('Unsupported MIDI file: SMPTE time division');
     }
 
-    // Difference function
-    const diff = new Float32Array(MAX_SAMPLES);
-    for (let tau = 0; tau < MAX_SAMPLES; tau++) {
-        let sum = 0;
-        for (let i = 0; i < MAX_SAMPLES; i++) {
-            const delta = buffer[i] - buffer[i + tau];
-            sum += delta * delta;
+    const tracks = [];
+    let offset = 8 + headerLength;
+    for (let t = 0; t < trackCount; t++) {
+        if (offset + 8 > bytes.length || readString(offset, 4) !== 'MTrk') {
+            throw new Error(`Corrupt MIDI file: track ${t + 1} is missing`);
+        }
+        const length = view.getUint32(offset + 4);
+        const end = offset + 8 + length;
+        if (end > bytes.length) {
+            throw new Error(`Corrupt MIDI file: track ${t + 1} is truncated`);
         }
-        diff[tau] = sum;
+        tracks.push(readMIDITrack(bytes, offset + 8, end, t));
+        offset = end;
     }
 
-    // Cumulative mean normalized difference
-    const cmndf = new Float32Array(MAX_SAMPLES);
-    cmndf[0] = 1;
-    let runningSum = 0;
-    for (let tau = 1; tau < MAX_SAMPLES; tau++) {
-        runningSum += diff[tau];
-        cmndf[tau] = diff[tau] / (runningSum / tau);
-    }
+    return { format, division, tracks };
+}
 
-    // Find first minimum below threshold
-    const threshold = 0.1;
-    let tau = 2;
+// Read the events of one MTrk chunk
+// Events are {tick, type: 'noteOn'|'noteOff', channel, pitch} or {tick, type: 'meta', metaType, data}
+function readMIDITrack(bytes, start, end, trackIndex) {
+    const events = [];
+    let name = '';
+    let offset = start;
+    let tick = 0;
+    let runningStatus = 0;
+
+    // Variable-length quantity: 7 bits per byte, high bit set on all but the last
+    const readVarLength = () => {
+        let value = 0;
+        for (let i = 0; i < 4; i++) {
+            if (offset >= end) break;
+            const byte = bytes[offset++];
+            value = (value << 7) | (byte & 0x7F);
+            if (!(byte & 0x80)) return value;
+        }
+        throw new Error(`Corrupt MIDI file: bad length in track ${trackIndex + 1}`);
+    };
 
-    while (tau < MAX_SAMPLES - 1 && cmndf[tau] >= threshold) {
-        tau++;
-    }
+    while (offset < end) {
+        tick += readVarLength();
 
-    while (tau < MAX_SAMPLES - 1 && cmndf[tau + 1] < cmndf[tau]) {
-        tau++;
-    }
+        let status = bytes[offset];
+        if (status & 0x80) {
+            offset++;
+        } else if (runningStatus) {
+            // Running status: the data byte belongs to the previous channel message type
+            status = runningStatus;
+        } else {
+            throw new Error(`Corrupt MIDI file: missing status byte in track ${trackIndex + 1}`);
+        }
 
-    if (tau >= MAX_SAMPLES - 1 || cmndf[tau] >= threshold) {
-        return -1;
+        if (status === 0xFF) {
+            const metaType = bytes[offset++];
+            const length = readVarLength();
+            const data = bytes.subarray(offset, offset + length);
+            offset += length;
+            if (metaType === 0x03 && !name) {
+                name = new TextDecoder('latin1').decode(data).trim();
+            }
+            events.push({ tick, type: 'meta', metaType, data });
+            if (metaType === 0x2F) break; // End of track
+        } else if (status === 0xF0 || status === 0xF7) {
+            // System exclusive - skipped
+            offset += readVarLength();
+        } else {
+            runningStatus = status;
+            const kind = status & 0xF0;
+            const channel = status & 0x0F;
+            const dataLength = (kind === 0xC0 || kind === 0xD0) ? 1 : 2;
+            const pitch = bytes[offset];
+            const velocity = bytes[offset + 1];
+            offset += dataLength;
+
+            // A note-on with velocity 0 is a note-off
+            if (kind === 0x90 && velocity > 0) {
+                events.push({ tick, type: 'noteOn', channel, pitch });
+            } else if (kind === 0x80 || kind === 0x90) {
+                events.push({ tick, type: 'noteOff', channel, pitch });
+            }
+        }
     }
 
-    // Parabolic interpolation
-    const s0 = cmndf[tau - 1];
-    const s1 = cmndf[tau];
-    const s2 = cmndf[tau + 1];
-    const adjustment = (s2 - s0) / (2 * (2 * s1 - s2 - s0));
+    return { name, events };
+}
 
-    if (Math.abs(adjustment) < 1) {
-        tau = tau + adjustment;
-    }
+// List the parts of a MIDI file: every track with notes, or every channel of a single-track
+// (format 0) file. Channel 10 is percussion and has no pitches to sing.
+function getMIDIParts(midi) {
+    const parts = [];
 
-    return sampleRate / tau;
-}
+    midi.tracks.forEach((track, t) => {
+        const channels = [...new Set(track.events.filter(e => e.type === 'noteOn' && e.channel !== 9).map(e => e.channel))];
+        if (channels.length === 0) return;
 
-// Median filter smoothing
-function getSmoothedPitch(newPitch) {
-    recentPitches.push(newPitch);
-    if (recentPitches.length > smoothingWindow) {
-        recentPitches.shift();
-    }
+        if (midi.tracks.length === 1 && channels.length > 1) {
+            channels.sort((a, b) => a - b).forEach(channel => {
+                parts.push({ id: `${t}:${channel}`, name: `Channel ${channel + 1}` });
+            });
+        } else {
+            parts.push({ id: `${t}`, name: track.name || `Track ${t + 1}` });
+        }
+    });
 
-    if (recentPitches.length < 3) {
-        return newPitch;
+    if (parts.length === 0) {
+        throw new Error('No notes found in MIDI file');
     }
-
-    const sorted = [...recentPitches].sort((a, b) => a - b);
-    const mid = Math.floor(sorted.length / 2);
-    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    return parts;
 }
 
-// Convert frequency to cents difference
-function getCentsDifference(detected, target) {
-    return 1200 * Math.log2(detected / target);
+// Collect meta events of one type from every track (format 1 keeps them in the first track), sorted by tick
+function collectMIDIMetaEvents(midi, metaType) {
+    return midi.tracks
+        .flatMap(track => track.events.filter(e => e.type === 'meta' && e.metaType === metaType))
+        .sort((a, b) => a.tick - b.tick);
 }
 
-// Get note name from frequency
-function getNoteFromFrequency(frequency) {
-    const noteNum = 12 * (Math.log2(frequency / 440)) + 69;
-    const note = Math.round(noteNum);
-    const noteName = noteNames[note % 12];
-    const octave = Math.floor(note / 12) - 1;
-    return `${noteName}${octave}`;
+// Get the value in force at a tick from a sorted [{tick, value}] list
+function getMIDIValueAt(changes, tick, fallback) {
+    let value = fallback;
+    for (const change of changes) {
+        if (change.tick > tick) break;
+        value = change.value;
+    }
+    return value;
 }
 
-// Draw visualization
-function drawVisualization() {
-    const width = pitchCanvas.width;
-    const height = pitchCanvas.height;
-    const rightPadding = 30;
-    const drawWidth = width - rightPadding;
+// Pick the nearest note shape for a length in quarter notes
+function getNoteShape(quarters) {
+    let best = DURATION_SHAPES[0];
+    DURATION_SHAPES.forEach(shape => {
+        if (Math.abs(Math.log(quarters / shape.quarters)) < Math.abs(Math.log(quarters / best.quarters))) {
+            best = shape;
+        }
+    });
+    return { noteType: best.noteType, dotted: best.dotted };
+}
 
-    // Clear
-    canvasCtx.fillStyle = 'rgba(30, 30, 40, 1)';
-    canvasCtx.fillRect(0, 0, width, height);
+// Convert one MIDI part into a sequence, with the same result shape as parseMusicXMLPart
+// Chords are reduced to their top note, and a note is cut short where the next one starts
+function parseMIDIPart(midi, partId) {
+    const [trackIndex, channelText] = partId.split(':');
+    const track = midi.tracks[parseInt(trackIndex)];
+    if (!track) {
+        throw new Error(`Part "${partId}" not found`);
+    }
+    const channel = channelText === undefined ? null : parseInt(channelText);
+    const division = midi.division;
+
+    // Pair note-ons with note-offs (first in, first out for repeated pitches)
+    const sounding = new Map();
+    const played = [];
+    track.events.forEach(e => {
+        if (e.type !== 'noteOn' && e.type !== 'noteOff') return;
+        if (e.channel === 9 || (channel !== null && e.channel !== channel)) return;
+
+        const key = `${e.channel}:${e.pitch}`;
+        if (e.type === 'noteOn') {
+            if (!sounding.has(key)) sounding.set(key, []);
+            sounding.get(key).push(e.tick);
+        } else if (sounding.get(key)?.length) {
+            played.push({ start: sounding.get(key).shift(), end: e.tick, pitch: e.pitch });
+        }
+    });
+    // Notes never switched off end at their start plus a quarter
+    sounding.forEach((starts, key) => {
+        starts.forEach(start => played.push({ start, end: start + division, pitch: parseInt(key.split(':')[1]) }));
+    });
 
-    const centerY = height / 2;
+    // Monophonic reduction - keep the highest note of each onset
+    const byStart = new Map();
+    played.forEach(n => {
+        const current = byStart.get(n.start);
+        if (!current || n.pitch > current.pitch) byStart.set(n.start, n);
+    });
+    const melody = Array.from(byStart.values()).sort((a, b) => a.start - b.start);
+    if (melody.length === 0) {
+        throw new Error('No notes found in selected part');
+    }
 
-    // On-pitch zone
-    canvasCtx.fillStyle = 'rgba(107, 203, 119, 0.15)';
-    const onPitchHeight = (10 / 100) * (height / 2 - 10) * 2;
-    canvasCtx.fillRect(0, centerY - onPitchHeight / 2, width, onPitchHeight);
+    // Tempo, time signature and key changes by tick
+    const tempoChanges = collectMIDIMetaEvents(midi, 0x51).map(e => ({
+        tick: e.tick,
+        value: 60000000 / ((e.data[0] << 16) | (e.data[1] << 8) | e.data[2])
+    }));
+    const timeChanges = collectMIDIMetaEvents(midi, 0x58).map(e => ({
+        tick: e.tick,
+        value: { beats: e.data[0], beatType: Math.pow(2, e.data[1]) }
+    }));
+    const keyChanges = collectMIDIMetaEvents(midi, 0x59).map(e => ({
+        tick: e.tick,
+        value: e.data[0] > 127 ? e.data[0] - 256 : e.data[0]
+    }));
+
+    // Length in ms between two ticks, following tempo changes in between
+    const ticksToMs = (fromTick, toTick) => {
+        let ms = 0;
+        let tick = fromTick;
+        while (tick < toTick) {
+            const next = tempoChanges.find(c => c.tick > tick);
+            const segmentEnd = next ? Math.min(next.tick, toTick) : toTick;
+            ms += (segmentEnd - tick) / division * 60000 / getMIDIValueAt(tempoChanges, tick, 120);
+            tick = segmentEnd;
+        }
+        return ms;
+    };
 
-    // Target line
-    canvasCtx.strokeStyle = '#6bcb77';
-    canvasCtx.lineWidth = 2;
-    canvasCtx.setLineDash([5, 5]);
-    canvasCtx.beginPath();
-    canvasCtx.moveTo(0, centerY);
-    canvasCtx.lineTo(width, centerY);
-    canvasCtx.stroke();
-    canvasCtx.setLineDash([]);
+    const notes = [];
+    const tempoMap = [];
+    const timeSignatures = [];
+    const keySignatures = [];
+
+    // Record timeline changes in force at the start of each sequence entry
+    const addEntry = (entry, tick) => {
+        const tempo = getMIDIValueAt(tempoChanges, tick, 120);
+        if (tempoMap.length === 0 || tempoMap[tempoMap.length - 1].tempo !== tempo) {
+            tempoMap.push({ noteIndex: notes.length, tempo });
+        }
+        const timeSignature = getMIDIValueAt(timeChanges, tick, { beats: 4, beatType: 4 });
+        const lastTime = timeSignatures[timeSignatures.length - 1];
+        if (!lastTime || lastTime.beats !== timeSignature.beats || lastTime.beatType !== timeSignature.beatType) {
+            timeSignatures.push({ noteIndex: notes.length, ...timeSignature });
+        }
+        const fifths = getMIDIValueAt(keyChanges, tick, 0);
+        if (keySignatures.length === 0 || keySignatures[keySignatures.length - 1].fifths !== fifths) {
+            keySignatures.push({ noteIndex: notes.length, fifths });
+        }
+        notes.push(entry);
+    };
 
-    // Threshold lines
-    canvasCtx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
-    canvasCtx.lineWidth = 1;
-    const thresholdOffset = height / 4;
-    canvasCtx.beginPath();
-    canvasCtx.moveTo(0, centerY - thresholdOffset);
-    canvasCtx.lineTo(width, centerY - thresholdOffset);
-    canvasCtx.moveTo(0, centerY + thresholdOffset);
-    canvasCtx.lineTo(width, centerY + thresholdOffset);
-    canvasCtx.stroke();
+    // Gaps shorter than a 32nd note are articulation, not rests
+    const minimumGap = division / 8;
+    let cursor = 0;
+
+    melody.forEach((n, i) => {
+        if (n.start - cursor >= minimumGap) {
+            addEntry({
+                rest: true,
+                duration: ticksToMs(cursor, n.start),
+                ...getRestShape((n.start - cursor) / division)
+            }, cursor);
+        }
 
-    // Draw pitch history
-    canvasCtx.lineWidth = 3;
-    canvasCtx.lineCap = 'round';
-    canvasCtx.lineJoin = 'round';
+        const nextStart = i + 1 < melody.length ? melody[i + 1].start : Infinity;
+        let end = Math.min(n.end, nextStart);
+        if (nextStart - end < minimumGap) end = nextStart;
+
+        const spelled = spellMidiNumber(n.pitch, getMIDIValueAt(keyChanges, n.start, 0));
+        addEntry({
+            note: spelled.note,
+            octave: spelled.octave,
+            midi: n.pitch,
+            duration: ticksToMs(n.start, end),
+            ...getNoteShape((end - n.start) / division)
+        }, n.start);
+        cursor = end;
+    });
 
-    let lastValidPoint = null;
+    return {
+        notes,
+        timeSignatures,
+        tempoMap,
+        keySignatures,
+        sectionMarks: [],
+        hasRepeats: false
+    };
+}
 
-    for (let i = 0; i < pitchHistory.length; i++) {
-        const cents = pitchHistory[i];
-        if (cents === null) {
-            lastValidPoint = null;
-            continue;
-        }
+// =============================================================================
+// ABC NOTATION SUPPORT
+// Single-voice tunes pasted as text: header fields, then the tune body
+// =============================================================================
 
-        const x = (i / maxSamples) * drawWidth;
-        const clampedCents = Math.max(-100, Math.min(100, cents));
-        const y = centerY - (clampedCents / 100) * (height / 2 - 10);
+// Key signature offsets for ABC modes, relative to the major key on the same tonic
+const ABC_MODE_FIFTHS = {
+    '': 0, 'maj': 0, 'ion': 0,
+    'm': -3, 'min': -3, 'aeo': -3,
+    'mix': -1, 'dor': -2, 'phr': -4, 'lyd': 1, 'loc': -5
+};
 
-        if (Math.abs(cents) <= 10) {
-            canvasCtx.strokeStyle = '#6bcb77';
-        } else if (Math.abs(cents) <= 25) {
-            canvasCtx.strokeStyle = '#ffd93d';
-        } else {
-            canvasCtx.strokeStyle = '#ff6b6b';
-        }
+// Decoration shorthands that can be skipped over (roll, staccato, fermata, trill, bowing...)
+const ABC_DECORATION_CHARS = '.~HLMOPSTuv';
+
+// Decorations that carry articulations, fermatas or breaths, by !name! or shorthand character
+const ABC_DECORATIONS = {
+    'staccato': 'staccato', '.': 'staccato',
+    'wedge': 'staccatissimo',
+    'tenuto': 'tenuto',
+    'accent': 'accent', 'emphasis': 'accent', '>': 'accent', 'L': 'accent',
+    'fermata': 'fermata', 'H': 'fermata',
+    'breath': 'breath'
+};
 
-        if (lastValidPoint) {
-            canvasCtx.beginPath();
-            canvasCtx.moveTo(lastValidPoint.x, lastValidPoint.y);
-            canvasCtx.lineTo(x, y);
-            canvasCtx.stroke();
-        }
+// Build an ABC syntax error pointing at a line and column of the pasted text
+function abcSyntaxError(message, line, column) {
+    return new Error(`ABC syntax error at line ${line}, column ${column}: ${message}`);
+}
 
-        lastValidPoint = { x, y, cents };
-    }
+// Parse an ABC length such as "3/2" into a fraction of a whole note ("1/8" -> 0.125)
+function parseABCFraction(text) {
+    const match = text.trim().match(/^(\d+)\/(\d+)$/);
+    if (!match || parseInt(match[2]) === 0) return null;
+    return parseInt(match[1]) / parseInt(match[2]);
+}
 
-    // Current position indicator
-    if (lastValidPoint && isRunning) {
-        canvasCtx.beginPath();
-        canvasCtx.arc(lastValidPoint.x, lastValidPoint.y, 8, 0, Math.PI * 2);
+// Parse an M: field into a time signature (null for free meter)
+function parseABCMeter(text) {
+    const value = text.trim();
+    if (value === 'C') return { beats: 4, beatType: 4 };
+    if (value === 'C|') return { beats: 2, beatType: 2 };
+    if (value === '' || value.toLowerCase() === 'none') return null;
+    const match = value.match(/^(\d+(?:\+\d+)*)\/(\d+)$/);
+    if (!match) return undefined;
+    const beats = match[1].split('+').reduce((sum, n) => sum + parseInt(n), 0);
+    return { beats, beatType: parseInt(match[2]) };
+}
 
-        if (Math.abs(lastValidPoint.cents) <= 10) {
-            canvasCtx.fillStyle = '#6bcb77';
-        } else if (Math.abs(lastValidPoint.cents) <= 25) {
-            canvasCtx.fillStyle = '#ffd93d';
-        } else {
-            canvasCtx.fillStyle = '#ff6b6b';
-        }
-        canvasCtx.fill();
-        canvasCtx.strokeStyle = 'white';
-        canvasCtx.lineWidth = 2;
-        canvasCtx.stroke();
+// Parse a K: field into a number of fifths (tonic and mode, e.g. "G", "Bbm", "D dorian")
+function parseABCKey(text) {
+    const value = text.trim().split(/\s+(?=clef=|middle=|transpose=|octave=)/)[0].trim();
+    if (value === '' || value.toLowerCase() === 'none') return 0;
+    const match = value.match(/^([A-G])([#b]?)\s*([A-Za-z]*)$/);
+    if (!match) return null;
+    const mode = match[3].toLowerCase() === 'm' ? 'm' : match[3].toLowerCase().slice(0, 3);
+    if (!(mode in ABC_MODE_FIFTHS)) return null;
+    const fifths = getLineOfFifths(match[1] + match[2]) + ABC_MODE_FIFTHS[mode];
+    return Math.abs(fifths) <= 7 ? fifths : null;
+}
+
+// Parse a Q: field into quarter notes per minute ("1/4=120", "3/8=60", or a bare count of unit lengths)
+function parseABCTempo(text, unitLength) {
+    const value = text.replace(/"[^"]*"/g, '').trim();
+    if (value === '') return null;
+    const beatMatch = value.match(/^((?:\d+\/\d+\s*)+)=\s*(\d+(?:\.\d+)?)$/);
+    if (beatMatch) {
+        const beat = beatMatch[1].trim().split(/\s+/).reduce((sum, f) => sum + parseABCFraction(f), 0);
+        return parseFloat(beatMatch[2]) * beat * 4;
+    }
+    const countMatch = value.match(/^(?:C\s*=\s*)?(\d+(?:\.\d+)?)$/);
+    if (countMatch) {
+        return parseFloat(countMatch[1]) * unitLength * 4;
     }
+    return undefined;
 }
 
-// Main analysis loop
-let lastSampleTime = 0;
-const sampleInterval = 1000 / samplesPerSecond;
+// Convert the first tune in an ABC text into a sequence, with the same result shape as parseMusicXMLPart
+// Chords are reduced to their first note; only one voice is read. Repeats and first/second
+// endings are unrolled like parseMusicXMLPart's with expandRepeats, or sung once without it
+function parseABC(text, expandRepeats = true) {
+    const lines = text.split(/\r?\n/);
+    const notes = [];
+    const tempoMap = [];
+    const timeSignatures = [];
+    const keySignatures = [];
 
-function analyze(timestamp) {
-    if (!isRunning) return;
+    let title = '';
+    let meter = { beats: 4, beatType: 4 };
+    let unitLength = null;
+    let tempo = 120;
+    let fifths = 0;
+    let inBody = false;
+    let measure = 0;
+    // Accidentals written earlier in the bar, by letter and octave
+    let barAccidentals = {};
+    let openTie = null;
+    // Length factor left for the next note by a broken rhythm (">" or "<")
+    let brokenFactor = 1;
+    let lastLength = null;
+    // Tuplet being read ({actual, normal, remaining, started}), and grace notes and decorations
+    // waiting for their note
+    let tuplet = null;
+    let pendingGraceNotes = [];
+    let pendingDecorations = [];
+    // Repeat and volta structure per measure (see createMeasureStructure), and the volta being read
+    const structure = [];
+    let openEnding = null;
+
+    // Without an L: field the unit length follows the meter: 1/16 below 3/4, otherwise 1/8
+    const getUnitLength = () => {
+        if (unitLength !== null) return unitLength;
+        return meter && meter.beats / meter.beatType < 0.75 ? 1 / 16 : 1 / 8;
+    };
 
-    // Sample at fixed rate
-    if (timestamp - lastSampleTime >= sampleInterval) {
-        lastSampleTime = timestamp;
+    // Record timeline changes in force at the start of each sequence entry
+    const addEntry = (entry) => {
+        if (tempoMap.length === 0 || tempoMap[tempoMap.length - 1].tempo !== tempo) {
+            tempoMap.push({ noteIndex: notes.length, tempo });
+        }
+        const timeSignature = meter || { beats: 4, beatType: 4 };
+        const lastTime = timeSignatures[timeSignatures.length - 1];
+        if (!lastTime || lastTime.beats !== timeSignature.beats || lastTime.beatType !== timeSignature.beatType) {
+            timeSignatures.push({ noteIndex: notes.length, ...timeSignature });
+        }
+        if (keySignatures.length === 0 || keySignatures[keySignatures.length - 1].fifths !== fifths) {
+            keySignatures.push({ noteIndex: notes.length, fifths });
+        }
+        notes.push(entry);
+    };
 
-        const buffer = new Float32Array(analyser.fftSize);
-        analyser.getFloatTimeDomainData(buffer);
+    // Length of a span in ms at the current tempo
+    const toMs = (quarters) => quarters * 60000 / tempo;
 
-        const rawPitch = detectPitch(buffer, audioContext.sampleRate);
+    const getMeasureStructure = () => {
+        if (!structure[measure]) structure[measure] = createMeasureStructure();
+        return structure[measure];
+    };
 
-        if (rawPitch !== -1 && rawPitch > 80 && rawPitch < 1000) {
-            const pitch = getSmoothedPitch(rawPitch);
-            const cents = getCentsDifference(pitch, currentNote.frequency);
-            const noteName = getNoteFromFrequency(pitch);
+    // Move on to the next measure, which stays in any open volta
+    const nextMeasure = () => {
+        measure++;
+        if (openEnding) {
+            getMeasureStructure().endingNumbers = openEnding.numbers;
+            getMeasureStructure().endingLabel = openEnding.label;
+        }
+    };
 
-            detectedPitchEl.textContent = Math.round(pitch);
-            detectedNoteEl.textContent = `Hz (${noteName})`;
+    // Open a volta for the passes in its label ("1", "1,3" or "1-2") at the current measure
+    const startEnding = (label) => {
+        const numbers = label.split(',').flatMap(part => {
+            const [from, to] = part.split('-').map(n => parseInt(n));
+            return to ? Array.from({ length: Math.max(0, to - from + 1) }, (_, k) => from + k) : [from];
+        });
+        openEnding = { numbers, label };
+        const info = getMeasureStructure();
+        info.endingNumbers = numbers;
+        info.endingLabel = label;
+        info.endingStart = true;
+    };
 
-            const centsRounded = Math.round(cents);
-            if (centsRounded > 0) {
-                centsOffEl.textContent = `+${centsRounded}`;
-                centsOffEl.className = Math.abs(centsRounded) <= 10 ? 'on-pitch' : 'sharp';
-            } else {
-                centsOffEl.textContent = centsRounded.toString();
-                centsOffEl.className = Math.abs(centsRounded) <= 10 ? 'on-pitch' : 'flat';
+    // Apply a header or inline field; returns false when a new tune starts
+    const applyField = (name, value, line, column) => {
+        switch (name) {
+            case 'X':
+                if (inBody) return false;
+                break;
+            case 'T':
+                if (!title) title = value.trim();
+                break;
+            case 'M': {
+                const parsed = parseABCMeter(value);
+                if (parsed === undefined) throw abcSyntaxError(`invalid meter "${value.trim()}"`, line, column);
+                meter = parsed;
+                break;
+            }
+            case 'L': {
+                const parsed = parseABCFraction(value);
+                if (parsed === null) throw abcSyntaxError(`invalid unit note length "${value.trim()}"`, line, column);
+                unitLength = parsed;
+                break;
             }
+            case 'Q': {
+                const parsed = parseABCTempo(value, getUnitLength());
+                if (parsed === undefined || parsed === 0) throw abcSyntaxError(`invalid tempo "${value.trim()}"`, line, column);
+                if (parsed !== null) tempo = parsed;
+                break;
+            }
+            case 'K': {
+                const parsed = parseABCKey(value);
+                if (parsed === null) throw abcSyntaxError(`unsupported key "${value.trim()}"`, line, column);
+                fifths = parsed;
+                inBody = true;
+                break;
+            }
+        }
+        return true;
+    };
 
-            pitchHistory.push(cents);
-        } else {
-            pitchHistory.push(null);
+    // Read a length multiplier ("2", "/2", "3/2", "/", "//") at a position
+    const readLength = (lineText, start, line) => {
+        const match = lineText.slice(start).match(/^(\d*)(\/*)(\d*)/);
+        const numerator = match[1] ? parseInt(match[1]) : 1;
+        let denominator = 1;
+        if (match[2]) {
+            denominator = match[3] ? parseInt(match[3]) : Math.pow(2, match[2].length);
+        } else if (match[3]) {
+            denominator = parseInt(match[3]);
         }
+        if (numerator === 0 || denominator === 0) {
+            throw abcSyntaxError(`invalid note length "${match[0]}"`, line, start + 1);
+        }
+        return { length: numerator / denominator, end: start + match[0].length };
+    };
 
-        // Keep sliding window
-        while (pitchHistory.length > maxSamples) {
-            pitchHistory.shift();
+    // Read one note (accidental, letter, octave marks, length) at a position
+    const readNote = (lineText, start, line) => {
+        const match = lineText.slice(start).match(/^(\^\^|\^|__|_|=)?([A-Ga-g])([',]*)/);
+        if (!match) {
+            throw abcSyntaxError(`expected a note but found "${lineText[start] || 'end of line'}"`, line, start + 1);
         }
-    }
+        const step = match[2].toUpperCase();
+        let octave = match[2] === step ? 4 : 5;
+        for (const mark of match[3]) {
+            octave += mark === "'" ? 1 : -1;
+        }
+        const explicit = match[1] === undefined ? null
+            : { '^^': 2, '^': 1, '=': 0, '_': -1, '__': -2 }[match[1]];
+        const { length, end } = readLength(lineText, start + match[0].length, line);
+        return { step, octave, explicit, length, end };
+    };
 
-    drawVisualization();
-    animationId = requestAnimationFrame(analyze);
-}
+    // Spell a parsed note from its accidental, earlier accidentals in the bar, or the key
+    const spellABCNote = (parsed) => {
+        const barKey = parsed.step + parsed.octave;
+        if (parsed.explicit !== null) barAccidentals[barKey] = parsed.explicit;
+        const alter = barKey in barAccidentals ? barAccidentals[barKey] : getKeyAlter(parsed.step, fifths);
+        const note = spellNote(parsed.step, alter);
+        return { note, octave: parsed.octave, midi: getMidiNumber(note, parsed.octave) };
+    };
 
-// Start live analysis
-async function start() {
-    try {
-        // Ensure audio context is warmed up and resumed
-        await warmUpAudio();
-        const ctx = getAudioContext();
+    // Scale a note or rest inside a tuplet and mark where the group starts and stops
+    const takeTuplet = () => {
+        if (!tuplet) return { factor: 1, marker: null };
+        const marker = { actual: tuplet.actual, normal: tuplet.normal, start: !tuplet.started, stop: tuplet.remaining === 1 };
+        const factor = tuplet.normal / tuplet.actual;
+        tuplet.started = true;
+        tuplet.remaining--;
+        if (tuplet.remaining === 0) tuplet = null;
+        return { factor, marker };
+    };
+
+    // Apply a decoration: articulations and fermatas wait for the next note; a breath
+    // adds its gap straight away, after the previous note
+    const addDecoration = (name) => {
+        const decoration = ABC_DECORATIONS[name];
+        if (decoration === 'breath') {
+            if (notes.length > 0) addEntry(createBreathGap('breath', toMs(1), measure));
+            openTie = null;
+        } else if (decoration && !pendingDecorations.includes(decoration)) {
+            pendingDecorations.push(decoration);
+        }
+    };
 
-        micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        const source = ctx.createMediaStreamSource(micStream);
+    // Put waiting articulations and fermata on a new entry
+    const takeDecorations = (entry) => {
+        const articulations = pendingDecorations.filter(d => d !== 'fermata');
+        if (articulations.length > 0 && !entry.rest) entry.articulations = articulations;
+        if (pendingDecorations.includes('fermata')) entry.fermata = true;
+        pendingDecorations = [];
+    };
 
-        analyser = ctx.createAnalyser();
-        analyser.fftSize = 4096;
-        source.connect(analyser);
+    // Add a note, merging it into the previous one when tied
+    const addNote = (parsed) => {
+        const { note, octave, midi } = spellABCNote(parsed);
+        const { factor, marker } = takeTuplet();
+        const quarters = parsed.length * brokenFactor * factor * getUnitLength() * 4;
+        brokenFactor = 1;
+        // Tuplet notes are drawn with their written (unscaled) shape
+        const segment = { duration: toMs(quarters), ...getNoteShape(quarters / factor) };
+
+        if (openTie && openTie.midi === midi) {
+            if (!openTie.tiedSegments) {
+                openTie.tiedSegments = [{ duration: openTie.duration, noteType: openTie.noteType, dotted: openTie.dotted }];
+            }
+            openTie.tiedSegments.push(segment);
+            openTie.duration += segment.duration;
+            if (pendingDecorations.includes('fermata')) openTie.fermata = true;
+            pendingDecorations = [];
+        } else {
+            const entry = { note, octave, midi, measure, ...segment };
+            if (marker) entry.tuplet = marker;
+            takeDecorations(entry);
+            if (pendingGraceNotes.length > 0) {
+                entry.graceNotes = pendingGraceNotes;
+                pendingGraceNotes = [];
+            }
+            addEntry(entry);
+        }
+        openTie = null;
+        lastLength = quarters;
+    };
 
-        pitchHistory.length = 0;
-        recentPitches.length = 0;
-        lastSampleTime = 0;
+    // Add a rest of a length in quarter notes (before any tuplet scaling)
+    const addRest = (length) => {
+        const { factor, marker } = takeTuplet();
+        const quarters = length * factor;
+        const entry = { rest: true, measure, duration: toMs(quarters), ...getRestShape(length) };
+        if (marker) entry.tuplet = marker;
+        takeDecorations(entry);
+        addEntry(entry);
+        brokenFactor = 1;
+        openTie = null;
+        lastLength = quarters;
+    };
 
-        isRunning = true;
-        startBtn.textContent = 'Stop';
-        startBtn.classList.add('recording');
-        statusEl.textContent = 'Listening...';
+    // Lengthen or shorten the last entry (its last tied segment) for a broken rhythm
+    const scaleLastEntry = (factor) => {
+        const last = notes[notes.length - 1];
+        const segment = last.tiedSegments ? last.tiedSegments[last.tiedSegments.length - 1] : last;
+        const quarters = lastLength * factor;
+        const added = toMs(quarters) - toMs(lastLength);
+        segment.duration += added;
+        if (segment !== last) last.duration += added;
+        Object.assign(segment, last.rest ? getRestShape(quarters) : getNoteShape(quarters));
+        lastLength = quarters;
+    };
 
-        animationId = requestAnimationFrame(analyze);
+    for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+        const lineText = lines[lineIndex];
+        const line = lineIndex + 1;
 
-    } catch (err) {
-        console.error('Microphone error:', err);
-        statusEl.textContent = 'Error: Could not access microphone.';
-    }
-}
+        // A blank line ends the tune once the body has started
+        if (lineText.trim() === '') {
+            if (inBody && notes.length > 0) break;
+            continue;
+        }
+        if (/^\s*%/.test(lineText)) continue;
 
-// Stop live analysis
-function stop() {
-    isRunning = false;
+        const field = lineText.match(/^([A-Za-z]):(.*)$/);
+        if (field) {
+            if (!applyField(field[1], field[2].replace(/%.*$/, ''), line, 3)) break;
+            continue;
+        }
+        // Tolerate a body with no header at all
+        inBody = true;
+
+        let i = 0;
+        while (i < lineText.length) {
+            const c = lineText[i];
+            const column = i + 1;
+
+            if (c === '%') break;
+            if (c === ' ' || c === '\t' || c === '\\' || c === '`') {
+                i++;
+                continue;
+            }
 
-    if (animationId) {
-        cancelAnimationFrame(animationId);
-        animationId = null;
-    }
+            // Grace notes are kept for the next note
+            if (c === '{') {
+                const end = lineText.indexOf('}', i + 1);
+                if (end === -1) throw abcSyntaxError('unclosed grace notes', line, column);
+                let g = i + 1;
+                while (g < end) {
+                    if (lineText[g] === ' ' || lineText[g] === '/') {
+                        g++;
+                        continue;
+                    }
+                    const grace = readNote(lineText, g, line);
+                    pendingGraceNotes.push(spellABCNote(grace));
+                    g = grace.end;
+                }
+                i = end + 1;
+                continue;
+            }
 
-    if (micStream) {
-        micStream.getTracks().forEach(track => track.stop());
-        micStream = null;
-    }
+            // Chord symbols and annotations are skipped; decorations are kept if they articulate
+            if (c === '"' || c === '!' || c === '+') {
+                const end = lineText.indexOf(c, i + 1);
+                if (end === -1) {
+                    throw abcSyntaxError(`unclosed ${c === '"' ? 'chord symbol or annotation' : 'decoration'}`, line, column);
+                }
+                if (c !== '"') addDecoration(lineText.slice(i + 1, end));
+                i = end + 1;
+                continue;
+            }
+            if (ABC_DECORATION_CHARS.includes(c)) {
+                addDecoration(c);
+                i++;
+                continue;
+            }
 
-    startBtn.textContent = 'Start';
-    startBtn.classList.remove('recording');
-    statusEl.textContent = '';
-}
+            // Tuplets: (p:q:r puts p notes in the time of q for the next r notes; other "(" start slurs, which are ignored
+            if (c === '(') {
+                const tupletMatch = lineText.slice(i).match(/^\((\d+)(?::(\d*)(?::(\d*))?)?/);
+                if (tupletMatch) {
+                    const actual = parseInt(tupletMatch[1]);
+                    if (actual < 2 || actual > 9) throw abcSyntaxError(`unsupported tuplet "(${actual}"`, line, column);
+                    const compound = meter && isCompoundTime(meter);
+                    const defaultNormal = { 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 }[actual] || (compound ? 3 : 2);
+                    tuplet = {
+                        actual,
+                        normal: parseInt(tupletMatch[2]) || defaultNormal,
+                        remaining: parseInt(tupletMatch[3]) || actual,
+                        started: false
+                    };
+                    i += tupletMatch[0].length;
+                    continue;
+                }
+                i++;
+                continue;
+            }
+            if (c === ')') {
+                i++;
+                continue;
+            }
 
-// Update current note
-function updateCurrentNote() {
-    const note = noteSelect.value;
-    const octave = parseInt(octaveSelect.value);
-    const frequency = getFrequency(note, octave);
+            if (c === '-') {
+                const last = notes[notes.length - 1];
+                if (!last || last.rest || lastLength === null) throw abcSyntaxError('tie without a preceding note', line, column);
+                openTie = last;
+                i++;
+                continue;
+            }
 
-    currentNote.name = `${note}${octave}`;
-    currentNote.frequency = frequency;
+            if (c === '>' || c === '<') {
+                const run = lineText.slice(i).match(/^(>+|<+)/)[0];
+                if (notes.length === 0 || lastLength === null) throw abcSyntaxError('broken rhythm without a preceding note', line, column);
+                const shortFactor = Math.pow(0.5, run.length);
+                scaleLastEntry(c === '>' ? 2 - shortFactor : shortFactor);
+                brokenFactor = c === '>' ? shortFactor : 2 - shortFactor;
+                i += run.length;
+                continue;
+            }
 
-    noteNameEl.textContent = currentNote.name;
-    noteFreqEl.textContent = `${Math.round(frequency)} Hz`;
-    targetNoteLabelEl.textContent = currentNote.name;
-}
+            // Bar lines, with repeat signs and first/second endings
+            const bar = lineText.slice(i).match(/^(:*)(\[\||\|\]|\|\||\|)(:*)(\[?\d+(?:[-,]\d+)*)?|^(::+)/);
+            if (bar) {
+                const endsRepeat = bar[5] || bar[1];
+                const startsRepeat = bar[5] || bar[3];
+                if (endsRepeat) getMeasureStructure().backwardRepeat = true;
+                // A volta runs until the next repeat sign or double bar line
+                if (endsRepeat || startsRepeat || (bar[2] && bar[2] !== '|')) openEnding = null;
+                if (notes.length > 0) nextMeasure();
+                if (startsRepeat) getMeasureStructure().forwardRepeat = true;
+                if (bar[4]) startEnding(bar[4].replace('[', ''));
+                barAccidentals = {};
+                i += bar[0].length;
+                continue;
+            }
 
-// Event listeners
-noteSelect.addEventListener('change', updateCurrentNote);
-octaveSelect.addEventListener('change', updateCurrentNote);
+            if (c === '[') {
+                // Inline field such as [K:D] or [M:3/4]
+                const inline = lineText.slice(i).match(/^\[([A-Za-z]):([^\]]*)\]/);
+                if (inline) {
+                    applyField(inline[1], inline[2], line, column + 3);
+                    i += inline[0].length;
+                    continue;
+                }
+                // Ending after a separate bar line ("| [2")
+                const ending = lineText.slice(i).match(/^\[(\d+(?:[-,]\d+)*)/);
+                if (ending) {
+                    startEnding(ending[1]);
+                    i += ending[0].length;
+                    continue;
+                }
+                // Chord: keep the first note, scaled by any length after the closing bracket
+                const close = lineText.indexOf(']', i + 1);
+                if (close === -1) throw abcSyntaxError('unclosed chord', line, column);
+                const first = readNote(lineText, i + 1, line);
+                const after = readLength(lineText, close + 1, line);
+                first.length *= after.length;
+                addNote(first);
+                i = after.end;
+                continue;
+            }
 
-playNoteBtn.addEventListener('click', () => {
-    playTone(currentNote.frequency);
-});
+            if (/[\^_=A-Ga-g]/.test(c)) {
+                const parsed = readNote(lineText, i, line);
+                addNote(parsed);
+                i = parsed.end;
+                continue;
+            }
 
-startBtn.addEventListener('click', () => {
-    if (isRunning) {
-        stop();
-    } else {
-        start();
+            // Rests: z (visible), x (invisible), Z (whole measures)
+            if (c === 'z' || c === 'x') {
+                const { length, end } = readLength(lineText, i + 1, line);
+                addRest(length * brokenFactor * getUnitLength() * 4);
+                i = end;
+                continue;
+            }
+            if (c === 'Z') {
+                const count = lineText.slice(i + 1).match(/^\d*/)[0];
+                const bar = meter || { beats: 4, beatType: 4 };
+                const measures = count ? parseInt(count) : 1;
+                for (let m = 0; m < measures; m++) {
+                    if (m > 0) nextMeasure();
+                    addRest(bar.beats / bar.beatType * 4);
+                }
+                i += 1 + count.length;
+                continue;
+            }
+
+            throw abcSyntaxError(`unexpected character "${c}"`, line, column);
+        }
     }
-});
 
-// Initial draw
-drawVisualization();
+    if (!notes.some(n => !n.rest)) {
+        throw new Error('No notes found in ABC notation');
+    }
 
-// Sequence Mode DOM elements
-const modeFreeBtn = document.getElementById('mode-free');
-const modeSequenceBtn = document.getElementById('mode-sequence');
-const freePracticeSections = document.querySelectorAll('.free-practice-section');
-const sequenceSection = document.querySelector('.sequence-section');
-const sequenceSelect = document.getElementById('sequence-select');
-const startNoteSelect = document.getElementById('start-note-select');
-const startOctaveSelect = document.getElementById('start-octave-select');
-const sheetMusicCanvas = document.getElementById('sheet-music-canvas');
-const sheetMusicCtx = sheetMusicCanvas.getContext('2d');
+    for (let m = 0; m <= measure; m++) {
+        if (!structure[m]) structure[m] = createMeasureStructure();
+    }
+    markFinalEndings(structure);
 
-// User scroll state for manually scrolling long scores when idle
-const userScrollState = {
-    offset: 0,
-    maxOffset: 0,
-    isDragging: false,
-    startX: 0,
-    startOffset: 0
-};
+    const playbackOrder = getMeasurePlaybackOrder(structure, structure.length, expandRepeats);
+    const unrolled = unrollMeasures(notes, { tempoMap, timeSignatures, keySignatures }, structure, playbackOrder);
+    return {
+        title,
+        notes: unrolled.notes,
+        timeSignatures: unrolled.timeSignatures,
+        tempoMap: unrolled.tempoMap,
+        keySignatures: unrolled.keySignatures,
+        sectionMarks: unrolled.sectionMarks,
+        hasRepeats: structure.some(info => info.backwardRepeat || info.endingNumbers.length > 0)
+    };
+}
 
-// Sheet music scroll event handlers
-sheetMusicCanvas.addEventListener('mousedown', (e) => {
-    if (sequenceState.isPlaying || sequenceState.isPreviewing || sequenceState.isCountingDown) return;
-    if (userScrollState.maxOffset <= 0) return;
+// Rearrange a sequence read straight through into playback order (measure indices from
+// getMeasurePlaybackOrder), copying each entry every time its measure is sung. timelines holds
+// lists of {noteIndex, ...} changes, which come back indexed into the new order, along with
+// the repeat and volta sectionMarks for each pass
+function unrollMeasures(notes, timelines, structure, playbackOrder) {
+    const measureEntries = structure.map(() => []);
+    notes.forEach((note, index) => measureEntries[note.measure].push(index));
+
+    const orderedNotes = [];
+    const sourceIndices = [];
+    const sectionMarks = [];
+    const addSectionMark = (type, text = '') => {
+        sectionMarks.push({ noteIndex: orderedNotes.length, type, text });
+    };
+    playbackOrder.forEach(measureIndex => {
+        const info = structure[measureIndex];
+        if (info.forwardRepeat) addSectionMark('repeat-start');
+        if (info.endingStart) addSectionMark('ending', `${info.endingLabel}.`);
+        measureEntries[measureIndex].forEach(index => {
+            orderedNotes.push({ ...notes[index] });
+            sourceIndices.push(index);
+        });
+        if (info.backwardRepeat) addSectionMark('repeat-end');
+    });
 
-    userScrollState.isDragging = true;
-    userScrollState.startX = e.clientX;
-    userScrollState.startOffset = userScrollState.offset;
-    sheetMusicCanvas.style.cursor = 'grabbing';
-});
+    // Each timeline gets an entry wherever the change in force differs from the previous note's
+    const result = { notes: orderedNotes, sectionMarks };
+    Object.entries(timelines).forEach(([name, timeline]) => {
+        const reindexed = [];
+        let previous = null;
+        sourceIndices.forEach((sourceIndex, noteIndex) => {
+            let current = timeline[0];
+            for (const entry of timeline) {
+                if (entry.noteIndex > sourceIndex) break;
+                current = entry;
+            }
+            if (current !== previous) reindexed.push({ ...current, noteIndex });
+            previous = current;
+        });
+        result[name] = reindexed;
+    });
+    return result;
+}
 
-sheetMusicCanvas.addEventListener('mousemove', (e) => {
-    if (!userScrollState.isDragging) {
-        // Show grab cursor if scrollable
-        if (userScrollState.maxOffset > 0 && !sequenceState.isPlaying && !sequenceState.isPreviewing && !sequenceState.isCountingDown) {
-            sheetMusicCanvas.style.cursor = 'grab';
-        } else {
-            sheetMusicCanvas.style.cursor = 'default';
+// Sequence state
+const sequenceState = {
+    isSequenceMode: true,
+    isPlaying: false,
+    isPreviewing: false,
+    previewIndex: -1,
+    isCountingDown: false,
+    countdownStartTime: 0,
+    countdownBeatInterval: 1000,
+    countdownLastBeat: -1,
+    currentSequence: [],
+    currentNoteIndex: 0,
+    noteScores: [],
+    pitchSamplesForNote: [],
+    pitchHistory: [],          // Timeline history for visualization ({cents, confidence} or null)
+    timeOnPitch: 0,
+    timeSinging: 0,            // Time with any detected pitch (used to score rests)
+    // For integrated sheet music visualization
+    sequenceStartTime: 0,      // When the sequence started (after countdown)
+    globalPitchTrace: [],      // Array of {time, frequency, confidence, noteIndex, cents} for entire sequence
+    // Time signature timeline for beat calculation - the signature in effect from each noteIndex onwards
+    // (a single 4/4 entry unless a MusicXML file declares otherwise)
+    timeSignatures: [{ noteIndex: 0, beats: 4, beatType: 4 }],
+    // Tempo map - quarter-note BPM at which durations were calculated, from each noteIndex onwards
+    // (a single 90 BPM entry for built-in sequences, from the file's tempo markings for MusicXML)
+    tempoMap: [{ noteIndex: 0, tempo: 90 }],
+    // Key signature timeline (fifths, transposed with the sequence) from each noteIndex onwards
+    keySignatures: [{ noteIndex: 0, fifths: 0 }],
+    // Repeat barlines and section markers drawn on the staff: [{noteIndex, type, text}]
+    sectionMarks: []
+};
+
+// Preview scroll animation state - uses shared scroll utilities
+const previewScrollState = {
+    animationId: null,
+    scrollParams: null,      // From calculateScrollParameters()
+    startTime: 0,            // When preview started (performance.now())
+    // Timing is synced to audio callbacks, so we track per-note timing
+    currentNoteIndex: 0,
+    noteStartTime: 0,
+    noteDuration: 0
+};
+
+function updatePreviewScroll() {
+    if (!sequenceState.isPreviewing || !previewScrollState.scrollParams) {
+        if (previewScrollState.animationId) {
+            cancelAnimationFrame(previewScrollState.animationId);
+            previewScrollState.animationId = null;
         }
         return;
     }
 
-    const deltaX = userScrollState.startX - e.clientX;
-    userScrollState.offset = Math.max(0, Math.min(userScrollState.maxOffset, userScrollState.startOffset + deltaX));
-    drawSheetMusic(-1, -1);
-});
+    const params = previewScrollState.scrollParams;
+    const i = previewScrollState.currentNoteIndex;
+    const pos = params.notePositions[i];
+    if (!pos) {
+        previewScrollState.animationId = requestAnimationFrame(updatePreviewScroll);
+        return;
+    }
 
-sheetMusicCanvas.addEventListener('mouseup', () => {
-    if (userScrollState.isDragging) {
-        userScrollState.isDragging = false;
-        sheetMusicCanvas.style.cursor = userScrollState.maxOffset > 0 ? 'grab' : 'default';
+    // Calculate progress within current note based on time since note started
+    const elapsed = performance.now() - previewScrollState.noteStartTime;
+    const progress = Math.min(1, elapsed / previewScrollState.noteDuration);
+
+    // Interpolate X position within current note using per-note spacing
+    const nextX = (i < params.notePositions.length - 1)
+        ? params.notePositions[i + 1].x
+        : pos.x + pos.spacing;
+    const currentX = pos.x + progress * (nextX - pos.x);
+
+    sequenceState.previewIndex = i;
+
+    // Calculate scroll offset based on current position
+    // Add padding so the current note isn't right at the edge
+    const previewPadding = params.minNoteSpacing * 2;
+    const scrollOffset = Math.min(
+        Math.max(0, currentX - params.notesStartX - previewPadding),
+        params.maxScrollNeeded
+    );
+
+    drawSheetMusic(sequenceState.previewIndex, sequenceState.previewIndex, null, -1, false, 0, scrollOffset);
+    previewScrollState.animationId = requestAnimationFrame(updatePreviewScroll);
+}
+
+// Called when a new note starts playing (syncs visual to audio)
+function onPreviewNoteStart(noteIndex, noteDuration) {
+    previewScrollState.currentNoteIndex = noteIndex;
+    previewScrollState.noteStartTime = performance.now();
+    previewScrollState.noteDuration = noteDuration;
+}
+
+function startPreviewScrollAnimation(scrollParams) {
+    previewScrollState.scrollParams = scrollParams;
+    previewScrollState.currentNoteIndex = 0;
+    previewScrollState.startTime = performance.now();
+    previewScrollState.noteStartTime = performance.now();
+    previewScrollState.noteDuration = scrollParams.notePositions[0]?.duration || 1000;
+
+    if (!previewScrollState.animationId) {
+        previewScrollState.animationId = requestAnimationFrame(updatePreviewScroll);
     }
-});
+}
 
-sheetMusicCanvas.addEventListener('mouseleave', () => {
-    if (userScrollState.isDragging) {
-        userScrollState.isDragging = false;
-        sheetMusicCanvas.style.cursor = 'default';
+function stopPreviewScrollAnimation() {
+    if (previewScrollState.animationId) {
+        cancelAnimationFrame(previewScrollState.animationId);
+        previewScrollState.animationId = null;
     }
-});
+    previewScrollState.scrollParams = null;
+}
 
-// Touch support for scrolling
-sheetMusicCanvas.addEventListener('touchstart', (e) => {
-    if (sequenceState.isPlaying || sequenceState.isPreviewing || sequenceState.isCountingDown) return;
-    if (userScrollState.maxOffset <= 0) return;
+function getFrequency(note, octave) {
+    const midiNote = getMidiNumber(note, octave);
+    return 440 * Math.pow(2, (midiNote - 69) / 12);
+}
 
-    userScrollState.isDragging = true;
-    userScrollState.startX = e.touches[0].clientX;
-    userScrollState.startOffset = userScrollState.offset;
-}, { passive: true });
+// Note spelling
+// Notes keep their written spelling ('Eb', 'F#', 'Cbb', ...) with the octave of the written letter,
+// so Cb4 sounds as B3. Spellings are compared on the line of fifths (F=-1, C=0, G=1 ... B=5,
+// each sharp adds 7 and each flat subtracts 7).
+const FIFTHS_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+const naturalSemitones = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+
+// Split a spelled note name into its letter and alteration in semitones
+function parseNoteName(note) {
+    const accidentals = note.slice(1);
+    const alter = (accidentals.match(/#/g) || []).length - (accidentals.match(/b/g) || []).length;
+    return { step: note[0], alter };
+}
 
-sheetMusicCanvas.addEventListener('touchmove', (e) => {
-    if (!userScrollState.isDragging) return;
+// Build a spelled note name from a letter and alteration
+function spellNote(step, alter) {
+    return step + (alter > 0 ? '#'.repeat(alter) : 'b'.repeat(-alter));
+}
 
-    const deltaX = userScrollState.startX - e.touches[0].clientX;
-    userScrollState.offset = Math.max(0, Math.min(userScrollState.maxOffset, userScrollState.startOffset + deltaX));
-    drawSheetMusic(-1, -1);
-}, { passive: true });
+// Get the MIDI note number of a spelled note
+function getMidiNumber(note, octave) {
+    const { step, alter } = parseNoteName(note);
+    return (octave + 1) * 12 + naturalSemitones[step] + alter;
+}
 
-sheetMusicCanvas.addEventListener('touchend', () => {
-    userScrollState.isDragging = false;
-});
+// Get a spelling's position on the line of fifths
+function getLineOfFifths(note) {
+    const { step, alter } = parseNoteName(note);
+    return FIFTHS_ORDER.indexOf(step) - 1 + 7 * alter;
+}
 
-// Mouse wheel scrolling
-sheetMusicCanvas.addEventListener('wheel', (e) => {
-    if (sequenceState.isPlaying || sequenceState.isPreviewing || sequenceState.isCountingDown) return;
-    if (userScrollState.maxOffset <= 0) return;
+// Get the spelling at a position on the line of fifths
+function noteFromLineOfFifths(position) {
+    const index = position + 1;
+    return spellNote(FIFTHS_ORDER[((index % 7) + 7) % 7], Math.floor(index / 7));
+}
 
-    e.preventDefault();
-    userScrollState.offset = Math.max(0, Math.min(userScrollState.maxOffset, userScrollState.offset + e.deltaX + e.deltaY));
-    drawSheetMusic(-1, -1);
-}, { passive: false });
+// Get the octave that puts a spelling on a MIDI note number
+function getWrittenOctave(note, midi) {
+    return Math.round((midi - getMidiNumber(note, 0)) / 12);
+}
 
-const previewBtn = document.getElementById('preview-btn');
-const goBtn = document.getElementById('go-btn');
-const sequenceCanvas = document.getElementById('sequence-canvas');
-const sequenceCanvasContainer = document.querySelector('.sequence-canvas-container');
-const sequenceCtx = sequenceCanvas.getContext('2d');
-const sequenceResults = document.getElementById('sequence-results');
-const resultsGrade = document.getElementById('results-grade');
-const resultsPercent = document.getElementById('results-percent');
-const resultsBreakdown = document.getElementById('results-breakdown');
-const retryBtn = document.getElementById('retry-btn');
-const sequenceStatus = document.getElementById('sequence-status');
-const musicxmlImport = document.getElementById('musicxml-import');
-const musicxmlFile = document.getElementById('musicxml-file');
-const musicxmlFilename = document.getElementById('musicxml-filename');
-const musicxmlPartSelector = document.getElementById('musicxml-part-selector');
-const musicxmlPartSelect = document.getElementById('musicxml-part-select');
-const startingNoteContainer = document.getElementById('starting-note-container');
-const tempoSlider = document.getElementById('tempo-slider');
-const tempoDisplay = document.getElementById('tempo-display');
-const beatIndicator = document.getElementById('beat-indicator');
+// Spell a MIDI note number the way it is usually written in a key (fifths > 0 sharps, < 0 flats)
+function spellMidiNumber(midi, fifths = 0) {
+    const pitchClass = ((midi % 12) + 12) % 12;
+    // Of the two spellings on the line of fifths, take the one nearer the middle of the key
+    const sharpSide = (pitchClass * 7) % 12;
+    const centre = fifths + 2;
+    const position = Math.abs(sharpSide - centre) <= Math.abs(sharpSide - 12 - centre) ? sharpSide : sharpSide - 12;
+    const note = noteFromLineOfFifths(position);
+    return { note, octave: getWrittenOctave(note, midi) };
+}
 
-// Sequence configuration state
-let tempoBPM = 90;
+// Pick the interval (as a shift along the line of fifths) for transposing by a number of semitones,
+// choosing the spelling that leaves the key signature with the fewest accidentals
+function getTranspositionFifths(semitones, keyFifths) {
+    const shift = (((semitones * 7) % 12) + 12) % 12;
+    return Math.abs(keyFifths + shift) <= Math.abs(keyFifths + shift - 12) ? shift : shift - 12;
+}
 
-// Beat indicator animation
-let beatIndicatorInterval = null;
+// Transpose a spelled note by semitones, respelling it along a line-of-fifths shift
+function transposeSpelledNote(note, octave, semitones, fifthsShift) {
+    const spelled = noteFromLineOfFifths(getLineOfFifths(note) + fifthsShift);
+    const midi = getMidiNumber(note, octave) + semitones;
+    return { note: spelled, octave: getWrittenOctave(spelled, midi), midi };
+}
+
+// Move a spelled note by an interval of diatonic steps and chromatic semitones,
+// as between the written and sounding pitch of a transposing instrument
+function transposeByInterval(note, octave, diatonic, chromatic) {
+    const steps = octave * 7 + diatonicPosition[parseNoteName(note).step] + diatonic;
+    const step = 'CDEFGAB'[((steps % 7) + 7) % 7];
+    const newOctave = Math.floor(steps / 7);
+    const midi = getMidiNumber(note, octave) + chromatic;
+    return { note: spellNote(step, midi - getMidiNumber(step, newOctave)), octave: newOctave, midi };
+}
+
+// Get how far an interval moves a key signature along the line of fifths
+function getIntervalFifths(diatonic, chromatic) {
+    return getLineOfFifths(transposeByInterval('C', 4, diatonic, chromatic).note);
+}
+
+// Get the alteration a key signature gives a letter
+function getKeyAlter(step, fifths) {
+    const index = FIFTHS_ORDER.indexOf(step);
+    if (fifths > 0 && index < fifths) return 1;
+    if (fifths < 0 && index >= 7 + fifths) return -1;
+    return 0;
+}
+
+// Get the printed symbol for an alteration
+function getAccidentalSymbol(alter) {
+    switch (alter) {
+        case 2: return '\uD834\uDD2A';
+        case 1: return '\u266F';
+        case -1: return '\u266D';
+        case -2: return '\uD834\uDD2B';
+        default: return '\u266E';
+    }
+}
+
+// Current target note
+const currentNote = {
+    name: 'A4',
+    frequency: 440
+};
+
+// DOM elements
+const playNoteBtn = document.getElementById('play-note');
+const startBtn = document.getElementById('start-btn');
+const statusEl = document.getElementById('status');
+const pitchCanvas = document.getElementById('pitch-canvas');
+const detectedPitchEl = document.getElementById('detected-pitch');
+const detectedNoteEl = document.getElementById('detected-note');
+const centsOffEl = document.getElementById('cents-off');
+const canvasCtx = pitchCanvas.getContext('2d');
+const noteSelect = document.getElementById('note-select');
+const octaveSelect = document.getElementById('octave-select');
+const noteNameEl = document.getElementById('note-name');
+const noteFreqEl = document.getElementById('note-freq');
+const targetNoteLabelEl = document.getElementById('target-note-label');
+const pitchDetectorSelect = document.getElementById('pitch-detector');
+
+// Sliding window for pitch history (time-based, one {cents, confidence} or null per pitch frame)
+const windowDuration = 3; // seconds
+let maxSamples = windowDuration * 30; // Set from the pitch frame rate when listening starts
+const pitchHistory = [];
+
+// Smoothing for pitch detection
+const recentPitches = [];
+const smoothingWindow = 5;
+
+// Initialize audio context
+let audioWarmedUp = false;
+
+function getAudioContext() {
+    if (!audioContext) {
+        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return audioContext;
+}
+
+// Warm up audio context to avoid first-play lag - must be called from user gesture
+function warmUpAudio() {
+    if (audioWarmedUp) return Promise.resolve();
+
+    const ctx = getAudioContext();
+
+    // Resume if suspended (required by Chrome autoplay policy)
+    const resumePromise = ctx.state === 'suspended' ? ctx.resume() : Promise.resolve();
+
+    return resumePromise.then(() => {
+        // Play a very short silent tone to prime the oscillator path
+        const oscillator = ctx.createOscillator();
+        const gainNode = ctx.createGain();
+        gainNode.gain.setValueAtTime(0, ctx.currentTime); // Silent
+        oscillator.connect(gainNode);
+        gainNode.connect(ctx.destination);
+        oscillator.start(ctx.currentTime);
+        oscillator.stop(ctx.currentTime + 0.01);
+
+        // Also prime the noise buffer path (used for click sounds)
+        // Pre-create the click buffer
+        const bufferSize = Math.floor(ctx.sampleRate * 0.02);
+        clickBuffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
+        const data = clickBuffer.getChannelData(0);
+        for (let i = 0; i < bufferSize; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        // Play a silent click to prime the buffer source path
+        const noise = ctx.createBufferSource();
+        noise.buffer = clickBuffer;
+        const silentGain = ctx.createGain();
+        silentGain.gain.setValueAtTime(0, ctx.currentTime);
+        noise.connect(silentGain);
+        silentGain.connect(ctx.destination);
+        noise.start(ctx.currentTime);
+        noise.stop(ctx.currentTime + 0.01);
+
+        audioWarmedUp = true;
+    });
+}
+
+// Warm up audio on first user click/touch/key (these are valid user gestures)
+function onFirstInteraction() {
+    warmUpAudio();
+    document.removeEventListener('click', onFirstInteraction);
+    document.removeEventListener('touchstart', onFirstInteraction);
+    document.removeEventListener('keydown', onFirstInteraction);
+}
+document.addEventListener('click', onFirstInteraction);
+document.addEventListener('touchstart', onFirstInteraction);
+document.addEventListener('keydown', onFirstInteraction);
+
+// Current preview audio state (for stopping)
+let currentPreviewAudio = null;
+
+// Play reference tone - returns a stop function
+function playTone(frequency, duration = 1.5, callback = null) {
+    // Ensure audio is warmed up, then play
+    warmUpAudio().then(() => {
+        const ctx = getAudioContext();
+
+        const oscillator = ctx.createOscillator();
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(frequency, ctx.currentTime);
+
+        // Calculate volume with bass boost for lower frequencies
+        // Lower notes need more gain to sound equally loud (equal-loudness compensation)
+        const baseVolume = 0.9;
+        const bassBoost = frequency < 250 ? (250 - frequency) / 250 * 0.5 : 0;
+        const volume = Math.min(1.5, baseVolume + bassBoost);
+
+        const gainNode = ctx.createGain();
+        gainNode.gain.setValueAtTime(0, ctx.currentTime);
+        gainNode.gain.linearRampToValueAtTime(volume, ctx.currentTime + 0.05);
+        gainNode.gain.linearRampToValueAtTime(volume, ctx.currentTime + duration - 0.1);
+        gainNode.gain.linearRampToValueAtTime(0, ctx.currentTime + duration);
+
+        oscillator.connect(gainNode);
+        gainNode.connect(ctx.destination);
+
+        oscillator.start(ctx.currentTime);
+        oscillator.stop(ctx.currentTime + duration);
+
+        let timeoutId = null;
+        if (callback) {
+            timeoutId = setTimeout(callback, duration * 1000);
+            // Store reference for stopping preview
+            currentPreviewAudio = {
+                oscillator,
+                gainNode,
+                timeoutId,
+                stop: function() {
+                    if (this.timeoutId) clearTimeout(this.timeoutId);
+                    try {
+                        this.gainNode.gain.cancelScheduledValues(ctx.currentTime);
+                        this.gainNode.gain.setValueAtTime(0, ctx.currentTime);
+                        this.oscillator.stop(ctx.currentTime + 0.01);
+                    } catch (e) {
+                        // Oscillator may have already stopped
+                    }
+                }
+            };
+        } else {
+            playNoteBtn.disabled = true;
+            setTimeout(() => {
+                playNoteBtn.disabled = false;
+            }, duration * 1000);
+        }
+    });
+}
+
+// Pitch input
+// Pitch detection runs in an AudioWorklet (pitch-processor.js) on the audio thread, which analyses
+// the microphone continuously and posts a frame {time, frequency, confidence, voiced, level,
+// gateLevel, threshold, gateOpen} every PITCH_HOP_SIZE samples. time is in AudioContext seconds
+// and frequency is -1 where no pitch was found; frames that are not voiced count as silence. The
+// levels drive the input meter. Frames queue up in pitchFrames until the rendering loops take them.
+const PITCH_FRAME_SIZE = 4096;
+const PITCH_HOP_SIZE = 1024;
+const pitchFrames = [];
+let pitchWorkletReady = null;
+
+// Start the microphone and the pitch worklet
+async function startPitchInput(ctx) {
+    if (pitchNode) stopPitchInput();
+    if (!pitchWorkletReady) {
+        // Forget a failed load, so the next start tries the module again
+        pitchWorkletReady = ctx.audioWorklet.addModule('pitch-processor.js').catch(err => {
+            pitchWorkletReady = null;
+            throw err;
+        });
+    }
+    await pitchWorkletReady;
+
+    micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const source = ctx.createMediaStreamSource(micStream);
+
+    pitchNode = new AudioWorkletNode(ctx, 'pitch-processor', {
+        channelCount: 1,
+        channelCountMode: 'explicit',
+        processorOptions: {
+            frameSize: PITCH_FRAME_SIZE,
+            hopSize: PITCH_HOP_SIZE,
+            detector: pitchDetectorSelect.value,
+            noiseProfile
+        }
+    });
+    pitchFrames.length = 0;
+    pitchNode.port.onmessage = (e) => handlePitchMessage(e.data);
+
+    source.connect(pitchNode);
+    // The worklet outputs silence, but must be connected through to the output to keep running
+    pitchNode.connect(ctx.destination);
+}
+
+// Queue a frame from the worklet and show its level, or finish a calibration
+function handlePitchMessage(message) {
+    if (message.type === 'calibration') {
+        if (calibrationDone) calibrationDone(message);
+        return;
+    }
+    pitchFrames.push(message);
+    updateLevelMeter(message);
+}
+
+// Stop the microphone and the pitch worklet
+function stopPitchInput() {
+    if (pitchNode) {
+        pitchNode.port.onmessage = null;
+        pitchNode.disconnect();
+        pitchNode = null;
+    }
+    pitchFrames.length = 0;
+    resetLevelMeter();
+    if (calibrationDone) calibrationDone(null);
+
+    if (micStream) {
+        micStream.getTracks().forEach(track => track.stop());
+        micStream = null;
+    }
+}
+
+// Take the pitch frames received since the last call, oldest first
+function takePitchFrames() {
+    return pitchFrames.splice(0, pitchFrames.length);
+}
+
+// Get the sung frequency of a pitch frame, or -1 if it is not voiced
+function getFramePitch(frame) {
+    return frame.voiced ? frame.frequency : -1;
+}
+
+// Opacity for tracing a pitch frame: confident frames solid, doubtful ones faint
+function getConfidenceAlpha(confidence) {
+    return 0.15 + 0.85 * confidence;
+}
+
+// Switch the pitch detector, live if the worklet is running
+function setPitchDetector(detector) {
+    if (pitchNode) {
+        pitchNode.port.postMessage({ type: 'detector', detector });
+    }
+    pitchFrames.length = 0;
+    recentPitches.length = 0;
+}
+
+// Get the time between pitch frames in ms
+function getPitchFrameInterval() {
+    return PITCH_HOP_SIZE / getAudioContext().sampleRate * 1000;
+}
+
+// Room noise calibration
+// Calibrating has the worklet listen to CALIBRATION_SECONDS of room tone and work out the noise
+// spectrum and floor its voicing gate measures against (see pitch-processor.js). The resulting
+// noiseProfile is kept here so every new worklet starts from it.
+const CALIBRATION_SECONDS = 3;
+let noiseProfile = null;
+let calibrationDone = null; // Resolves the running calibration with its profile (null if cut short)
+
+const calibrateBtn = document.getElementById('calibrate-btn');
+const calibrationStatusEl = document.getElementById('calibration-status');
+const levelMeterInput = document.getElementById('level-meter-input');
+const levelMeterFill = document.getElementById('level-meter-fill');
+const levelMeterThreshold = document.getElementById('level-meter-threshold');
+
+// Lowest level on the input meter, in dBFS
+const LEVEL_METER_FLOOR = -70;
+
+function levelToDecibels(level) {
+    return 20 * Math.log10(Math.max(level, 1e-6));
+}
+
+// Position of a level along the meter, as a percentage
+function getLevelMeterPosition(level) {
+    const position = (levelToDecibels(level) - LEVEL_METER_FLOOR) / -LEVEL_METER_FLOOR * 100;
+    return Math.max(0, Math.min(100, position));
+}
+
+// Show a frame's input level, the level the gate measures (with room noise removed) and the
+// gate threshold on the meter
+function updateLevelMeter(frame) {
+    levelMeterInput.style.width = `${getLevelMeterPosition(frame.level)}%`;
+    levelMeterFill.style.width = `${getLevelMeterPosition(frame.gateLevel)}%`;
+    levelMeterFill.classList.toggle('open', frame.gateOpen);
+    levelMeterThreshold.style.left = `${getLevelMeterPosition(frame.threshold)}%`;
+    levelMeterThreshold.style.display = '';
+}
+
+function resetLevelMeter() {
+    levelMeterInput.style.width = '0%';
+    levelMeterFill.style.width = '0%';
+    levelMeterFill.classList.remove('open');
+}
+
+// Measure the room's background noise, using the running microphone or starting it briefly
+async function calibrateNoise() {
+    if (sequenceState.isPlaying || sequenceState.isCountingDown) {
+        calibrationStatusEl.textContent = 'Stop the exercise before calibrating';
+        return;
+    }
+
+    calibrateBtn.disabled = true;
+    calibrationStatusEl.textContent = 'Stay quiet for a few seconds...';
+    let ownNode = null;
+    try {
+        await warmUpAudio();
+        if (!pitchNode) {
+            await startPitchInput(getAudioContext());
+            ownNode = pitchNode;
+        }
+
+        const frames = Math.round(CALIBRATION_SECONDS * 1000 / getPitchFrameInterval());
+        const profile = await new Promise(resolve => {
+            calibrationDone = resolve;
+            pitchNode.port.postMessage({ type: 'calibrate', frames });
+        });
+
+        if (profile) {
+            noiseProfile = { spectrum: profile.spectrum, floor: profile.floor };
+            calibrationStatusEl.textContent =
+                `Room noise ${Math.round(levelToDecibels(profile.noiseLevel))} dB, gate opens at ${Math.round(levelToDecibels(profile.threshold))} dB`;
+        } else {
+            calibrationStatusEl.textContent = 'Calibration interrupted';
+        }
+    } catch (err) {
+        console.error('Calibration failed:', err);
+        calibrationStatusEl.textContent = `Error: ${err.message}`;
+    } finally {
+        calibrationDone = null;
+        if (ownNode && pitchNode === ownNode) stopPitchInput();
+        calibrateBtn.disabled = false;
+    }
+}
+
+calibrateBtn.addEventListener('click', calibrateNoise);
+
+// Convert an AudioContext time (seconds) to the performance.now() clock (ms)
+function contextTimeToPerformanceTime(contextTime) {
+    const ctx = getAudioContext();
+    return performance.now() - (ctx.currentTime - contextTime) * 1000;
+}
+
+// Latency compensation
+// Singing exactly in time still reaches the pitch frames late. The singer follows the clicks as
+// they leave the speakers, baseLatency + outputLatency after they were scheduled, and a frame
+// describes the middle of its analysis window, half a window before its timestamp. The
+// microphone's own delay isn't reported, so the user adds it as an offset.
+const LATENCY_OFFSET_KEY = 'voice-trainer-latency-offset';
+const latencyOffsetSlider = document.getElementById('latency-offset');
+const latencyDisplay = document.getElementById('latency-display');
+
+// Get the combined latency in ms to take off pitch frame times
+function getPitchLatency() {
+    const ctx = getAudioContext();
+    const outputLatency = (ctx.baseLatency || 0) + (ctx.outputLatency || 0);
+    const windowCentre = PITCH_FRAME_SIZE / 2 / ctx.sampleRate;
+    return (outputLatency + windowCentre) * 1000 + parseInt(latencyOffsetSlider.value);
+}
+
+// Show the user offset, and the total once audio is running
+function updateLatencyDisplay() {
+    const offset = parseInt(latencyOffsetSlider.value);
+    latencyDisplay.textContent = `${offset >= 0 ? '+' : ''}${offset} ms`;
+    latencyDisplay.title = audioContext ? `Total latency ${Math.round(getPitchLatency())} ms` : '';
+}
+
+latencyOffsetSlider.addEventListener('input', () => {
+    updateLatencyDisplay();
+    try {
+        localStorage.setItem(LATENCY_OFFSET_KEY, latencyOffsetSlider.value);
+    } catch (err) {
+        console.warn('Could not save latency offset:', err);
+    }
+});
+
+try {
+    const savedOffset = localStorage.getItem(LATENCY_OFFSET_KEY);
+    if (savedOffset !== null) latencyOffsetSlider.value = savedOffset;
+} catch (err) {
+    console.warn('Could not read latency offset:', err);
+}
+updateLatencyDisplay();
+
+// Median filter smoothing
+function getSmoothedPitch(newPitch) {
+    recentPitches.push(newPitch);
+    if (recentPitches.length > smoothingWindow) {
+        recentPitches.shift();
+    }
+
+    if (recentPitches.length < 3) {
+        return newPitch;
+    }
+
+    const sorted = [...recentPitches].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Convert frequency to cents difference
+function getCentsDifference(detected, target) {
+    return 1200 * Math.log2(detected / target);
+}
+
+// Get note name from frequency
+function getNoteFromFrequency(frequency) {
+    const noteNum = 12 * (Math.log2(frequency / 440)) + 69;
+    const note = Math.round(noteNum);
+    const noteName = noteNames[note % 12];
+    const octave = Math.floor(note / 12) - 1;
+    return `${noteName}${octave}`;
+}
+
+// Draw visualization
+function drawVisualization() {
+    const width = pitchCanvas.width;
+    const height = pitchCanvas.height;
+    const rightPadding = 30;
+    const drawWidth = width - rightPadding;
+
+    // Clear
+    canvasCtx.fillStyle = 'rgba(30, 30, 40, 1)';
+    canvasCtx.fillRect(0, 0, width, height);
+
+    const centerY = height / 2;
+
+    // On-pitch zone
+    canvasCtx.fillStyle = 'rgba(107, 203, 119, 0.15)';
+    const onPitchHeight = (10 / 100) * (height / 2 - 10) * 2;
+    canvasCtx.fillRect(0, centerY - onPitchHeight / 2, width, onPitchHeight);
+
+    // Target line
+    canvasCtx.strokeStyle = '#6bcb77';
+    canvasCtx.lineWidth = 2;
+    canvasCtx.setLineDash([5, 5]);
+    canvasCtx.beginPath();
+    canvasCtx.moveTo(0, centerY);
+    canvasCtx.lineTo(width, centerY);
+    canvasCtx.stroke();
+    canvasCtx.setLineDash([]);
+
+    // Threshold lines
+    canvasCtx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    canvasCtx.lineWidth = 1;
+    const thresholdOffset = height / 4;
+    canvasCtx.beginPath();
+    canvasCtx.moveTo(0, centerY - thresholdOffset);
+    canvasCtx.lineTo(width, centerY - thresholdOffset);
+    canvasCtx.moveTo(0, centerY + thresholdOffset);
+    canvasCtx.lineTo(width, centerY + thresholdOffset);
+    canvasCtx.stroke();
+
+    // Draw pitch history
+    canvasCtx.lineWidth = 3;
+    canvasCtx.lineCap = 'round';
+    canvasCtx.lineJoin = 'round';
+
+    let lastValidPoint = null;
+
+    for (let i = 0; i < pitchHistory.length; i++) {
+        const sample = pitchHistory[i];
+        if (sample === null) {
+            lastValidPoint = null;
+            continue;
+        }
+
+        const cents = sample.cents;
+        const x = (i / maxSamples) * drawWidth;
+        const clampedCents = Math.max(-100, Math.min(100, cents));
+        const y = centerY - (clampedCents / 100) * (height / 2 - 10);
+
+        if (Math.abs(cents) <= 10) {
+            canvasCtx.strokeStyle = '#6bcb77';
+        } else if (Math.abs(cents) <= 25) {
+            canvasCtx.strokeStyle = '#ffd93d';
+        } else {
+            canvasCtx.strokeStyle = '#ff6b6b';
+        }
+
+        if (lastValidPoint) {
+            canvasCtx.globalAlpha = getConfidenceAlpha(sample.confidence);
+            canvasCtx.beginPath();
+            canvasCtx.moveTo(lastValidPoint.x, lastValidPoint.y);
+            canvasCtx.lineTo(x, y);
+            canvasCtx.stroke();
+            canvasCtx.globalAlpha = 1;
+        }
+
+        lastValidPoint = { x, y, cents };
+    }
+
+    // Current position indicator
+    if (lastValidPoint && isRunning) {
+        canvasCtx.beginPath();
+        canvasCtx.arc(lastValidPoint.x, lastValidPoint.y, 8, 0, Math.PI * 2);
+
+        if (Math.abs(lastValidPoint.cents) <= 10) {
+            canvasCtx.fillStyle = '#6bcb77';
+        } else if (Math.abs(lastValidPoint.cents) <= 25) {
+            canvasCtx.fillStyle = '#ffd93d';
+        } else {
+            canvasCtx.fillStyle = '#ff6b6b';
+        }
+        canvasCtx.fill();
+        canvasCtx.strokeStyle = 'white';
+        canvasCtx.lineWidth = 2;
+        canvasCtx.stroke();
+    }
+}
+
+// Main analysis loop: take the pitch frames that have arrived, then redraw
+function analyze() {
+    if (!isRunning) return;
+
+    takePitchFrames().forEach(frame => {
+        const rawPitch = getFramePitch(frame);
+
+        if (rawPitch !== -1 && isInDetectionWindow(rawPitch)) {
+            const pitch = getSmoothedPitch(rawPitch);
+            const cents = getCentsDifference(pitch, currentNote.frequency);
+            const noteName = getNoteFromFrequency(pitch);
+
+            detectedPitchEl.textContent = Math.round(pitch);
+            detectedNoteEl.textContent = `Hz (${noteName})`;
+
+            const centsRounded = Math.round(cents);
+            if (centsRounded > 0) {
+                centsOffEl.textContent = `+${centsRounded}`;
+                centsOffEl.className = Math.abs(centsRounded) <= 10 ? 'on-pitch' : 'sharp';
+            } else {
+                centsOffEl.textContent = centsRounded.toString();
+                centsOffEl.className = Math.abs(centsRounded) <= 10 ? 'on-pitch' : 'flat';
+            }
+
+            pitchHistory.push({ cents, confidence: frame.confidence });
+        } else {
+            pitchHistory.push(null);
+        }
+    });
+
+    // Keep sliding window
+    while (pitchHistory.length > maxSamples) {
+        pitchHistory.shift();
+    }
+
+    drawVisualization();
+    animationId = requestAnimationFrame(analyze);
+}
+
+// Start live analysis
+async function start() {
+    try {
+        // Ensure audio context is warmed up and resumed
+        await warmUpAudio();
+        const ctx = getAudioContext();
+
+        await startPitchInput(ctx);
+
+        pitchHistory.length = 0;
+        recentPitches.length = 0;
+        maxSamples = Math.round(windowDuration * 1000 / getPitchFrameInterval());
+
+        isRunning = true;
+        startBtn.textContent = 'Stop';
+        startBtn.classList.add('recording');
+        statusEl.textContent = 'Listening...';
+
+        animationId = requestAnimationFrame(analyze);
+
+    } catch (err) {
+        console.error('Microphone error:', err);
+        statusEl.textContent = 'Error: Could not access microphone.';
+    }
+}
+
+// Stop live analysis
+function stop() {
+    isRunning = false;
+
+    if (animationId) {
+        cancelAnimationFrame(animationId);
+        animationId = null;
+    }
+
+    stopPitchInput();
+
+    startBtn.textContent = 'Start';
+    startBtn.classList.remove('recording');
+    statusEl.textContent = '';
+}
+
+// Update current note
+function updateCurrentNote() {
+    const note = noteSelect.value;
+    const octave = parseInt(octaveSelect.value);
+    const frequency = getFrequency(note, octave);
+
+    currentNote.name = `${note}${octave}`;
+    currentNote.frequency = frequency;
+
+    noteNameEl.textContent = currentNote.name;
+    noteFreqEl.textContent = `${Math.round(frequency)} Hz`;
+    targetNoteLabelEl.textContent = currentNote.name;
+}
+
+// Event listeners
+noteSelect.addEventListener('change', updateCurrentNote);
+octaveSelect.addEventListener('change', updateCurrentNote);
+
+playNoteBtn.addEventListener('click', () => {
+    playTone(currentNote.frequency);
+});
+
+startBtn.addEventListener('click', () => {
+    if (isRunning) {
+        stop();
+    } else {
+        start();
+    }
+});
+
+pitchDetectorSelect.addEventListener('change', () => {
+    setPitchDetector(pitchDetectorSelect.value);
+});
+
+// Initial draw
+drawVisualization();
+
+// Sequence Mode DOM elements
+const modeFreeBtn = document.getElementById('mode-free');
+const modeSequenceBtn = document.getElementById('mode-sequence');
+const freePracticeSections = document.querySelectorAll('.free-practice-section');
+const sequenceSection = document.querySelector('.sequence-section');
+const sequenceSelect = document.getElementById('sequence-select');
+const startNoteSelect = document.getElementById('start-note-select');
+const startOctaveSelect = document.getElementById('start-octave-select');
+const sheetMusicCanvas = document.getElementById('sheet-music-canvas');
+const sheetMusicCtx = sheetMusicCanvas.getContext('2d');
+
+// User scroll state for manually scrolling long scores when idle
+const userScrollState = {
+    offset: 0,
+    maxOffset: 0,
+    isDragging: false,
+    startX: 0,
+    startOffset: 0
+};
+
+// Sheet music scroll event handlers
+sheetMusicCanvas.addEventListener('mousedown', (e) => {
+    if (sequenceState.isPlaying || sequenceState.isPreviewing || sequenceState.isCountingDown) return;
+    if (userScrollState.maxOffset <= 0) return;
+
+    userScrollState.isDragging = true;
+    userScrollState.startX = e.clientX;
+    userScrollState.startOffset = userScrollState.offset;
+    sheetMusicCanvas.style.cursor = 'grabbing';
+});
+
+sheetMusicCanvas.addEventListener('mousemove', (e) => {
+    if (!userScrollState.isDragging) {
+        // Show grab cursor if scrollable
+        if (userScrollState.maxOffset > 0 && !sequenceState.isPlaying && !sequenceState.isPreviewing && !sequenceState.isCountingDown) {
+            sheetMusicCanvas.style.cursor = 'grab';
+        } else {
+            sheetMusicCanvas.style.cursor = 'default';
+        }
+        return;
+    }
+
+    const deltaX = userScrollState.startX - e.clientX;
+    userScrollState.offset = Math.max(0, Math.min(userScrollState.maxOffset, userScrollState.startOffset + deltaX));
+    drawSheetMusic(-1, -1);
+});
+
+sheetMusicCanvas.addEventListener('mouseup', () => {
+    if (userScrollState.isDragging) {
+        userScrollState.isDragging = false;
+        sheetMusicCanvas.style.cursor = userScrollState.maxOffset > 0 ? 'grab' : 'default';
+    }
+});
+
+sheetMusicCanvas.addEventListener('mouseleave', () => {
+    if (userScrollState.isDragging) {
+        userScrollState.isDragging = false;
+        sheetMusicCanvas.style.cursor = 'default';
+    }
+});
+
+// Touch support for scrolling
+sheetMusicCanvas.addEventListener('touchstart', (e) => {
+    if (sequenceState.isPlaying || sequenceState.isPreviewing || sequenceState.isCountingDown) return;
+    if (userScrollState.maxOffset <= 0) return;
+
+    userScrollState.isDragging = true;
+    userScrollState.startX = e.touches[0].clientX;
+    userScrollState.startOffset = userScrollState.offset;
+}, { passive: true });
+
+sheetMusicCanvas.addEventListener('touchmove', (e) => {
+    if (!userScrollState.isDragging) return;
+
+    const deltaX = userScrollState.startX - e.touches[0].clientX;
+    userScrollState.offset = Math.max(0, Math.min(userScrollState.maxOffset, userScrollState.startOffset + deltaX));
+    drawSheetMusic(-1, -1);
+}, { passive: true });
+
+sheetMusicCanvas.addEventListener('touchend', () => {
+    userScrollState.isDragging = false;
+});
+
+// Mouse wheel scrolling
+sheetMusicCanvas.addEventListener('wheel', (e) => {
+    if (sequenceState.isPlaying || sequenceState.isPreviewing || sequenceState.isCountingDown) return;
+    if (userScrollState.maxOffset <= 0) return;
+
+    e.preventDefault();
+    userScrollState.offset = Math.max(0, Math.min(userScrollState.maxOffset, userScrollState.offset + e.deltaX + e.deltaY));
+    drawSheetMusic(-1, -1);
+}, { passive: false });
+
+const previewBtn = document.getElementById('preview-btn');
+const goBtn = document.getElementById('go-btn');
+const sequenceCanvas = document.getElementById('sequence-canvas');
+const sequenceCanvasContainer = document.querySelector('.sequence-canvas-container');
+const sequenceCtx = sequenceCanvas.getContext('2d');
+const sequenceResults = document.getElementById('sequence-results');
+const resultsGrade = document.getElementById('results-grade');
+const resultsPercent = document.getElementById('results-percent');
+const resultsBreakdown = document.getElementById('results-breakdown');
+const retryBtn = document.getElementById('retry-btn');
+const sequenceStatus = document.getElementById('sequence-status');
+const importReport = document.getElementById('import-report');
+const importReportSummary = document.getElementById('import-report-summary');
+const importReportList = document.getElementById('import-report-list');
+const musicxmlImport = document.getElementById('musicxml-import');
+const abcImport = document.getElementById('abc-import');
+const abcInput = document.getElementById('abc-input');
+const musicxmlFile = document.getElementById('musicxml-file');
+const musicxmlFilename = document.getElementById('musicxml-filename');
+const musicxmlPartSelector = document.getElementById('musicxml-part-selector');
+const musicxmlPartSelect = document.getElementById('musicxml-part-select');
+const musicxmlPartGroup = document.getElementById('musicxml-part-group');
+const musicxmlVoiceGroup = document.getElementById('musicxml-voice-group');
+const musicxmlVoiceSelect = document.getElementById('musicxml-voice-select');
+const musicxmlRepeatsOption = document.getElementById('musicxml-repeats-option');
+const musicxmlRepeatsCheckbox = document.getElementById('musicxml-repeats');
+const startingNoteContainer = document.getElementById('starting-note-container');
+const tempoSlider = document.getElementById('tempo-slider');
+const fermataOption = document.getElementById('fermata-option');
+const fermataHoldSelect = document.getElementById('fermata-hold');
+const minConfidenceSelect = document.getElementById('min-confidence');
+const pitchDisplayOption = document.getElementById('pitch-display-option');
+const pitchDisplaySelect = document.getElementById('pitch-display');
+const tempoDisplay = document.getElementById('tempo-display');
+const beatIndicator = document.getElementById('beat-indicator');
+
+// Sequence configuration state
+let tempoBPM = 90;
+
+// Beat indicator animation
+let beatIndicatorInterval = null;
+
+function startBeatIndicator() {
+    stopBeatIndicator();
+
+    // BPM now means "beats per minute" where beat depends on time signature
+    // So the interval is simply 60000 / tempoBPM regardless of time signature
+    const beatIntervalMs = 60000 / tempoBPM;
+
+    // Pulse immediately, then on interval
+    pulseBeatIndicator();
+    beatIndicatorInterval = setInterval(pulseBeatIndicator, beatIntervalMs);
+}
+
+function stopBeatIndicator() {
+    if (beatIndicatorInterval) {
+        clearInterval(beatIndicatorInterval);
+        beatIndicatorInterval = null;
+    }
+    beatIndicator.classList.remove('pulse');
+}
+
+function pulseBeatIndicator() {
+    beatIndicator.classList.add('pulse');
+    setTimeout(() => beatIndicator.classList.remove('pulse'), 100);
+}
+
+// Mode toggle
+function setMode(mode) {
+    if (mode === 'free') {
+        sequenceState.isSequenceMode = false;
+        modeFreeBtn.classList.add('active');
+        modeSequenceBtn.classList.remove('active');
+        freePracticeSections.forEach(el => el.style.display = '');
+        sequenceSection.style.display = 'none';
+        if (sequenceState.isPlaying) {
+            stopSequence();
+        }
+    } else {
+        sequenceState.isSequenceMode = true;
+        modeSequenceBtn.classList.add('active');
+        modeFreeBtn.classList.remove('active');
+        freePracticeSections.forEach(el => el.style.display = 'none');
+        sequenceSection.style.display = '';
+        if (isRunning) {
+            stop();
+        }
+        loadSequence(sequenceSelect.value);
+    }
+}
+
+// Convert note + octave to semitone number (C0 = 0)
+function noteToSemitone(note, octave) {
+    return getMidiNumber(note, octave) - 12;
+}
+
+// Convert semitone number back to note + octave
+function semitoneToNote(semitone) {
+    const octave = Math.floor(semitone / 12);
+    const noteIndex = ((semitone % 12) + 12) % 12; // Handle negative values
+    return { note: noteNames[noteIndex], octave };
+}
+
+// Get the key signature (fifths) in effect at a sequence index
+function getKeySignatureAt(index) {
+    let fifths = sequenceState.keySignatures[0].fifths;
+    for (const entry of sequenceState.keySignatures) {
+        if (entry.noteIndex > index) break;
+        fifths = entry.fifths;
+    }
+    return fifths;
+}
+
+// Get the written-to-sounding interval in effect at a sequence index
+function getTranspositionAt(transpositions, index) {
+    let interval = { diatonic: 0, chromatic: 0 };
+    for (const entry of transpositions) {
+        if (entry.noteIndex > index) break;
+        interval = entry;
+    }
+    return interval;
+}
+
+// Get the key signatures a transposing part sounds in, changing wherever the key or the transposition does
+function getSoundingKeySignatures(keySignatures, transpositions) {
+    const changes = [...keySignatures, ...transpositions].sort((a, b) => a.noteIndex - b.noteIndex);
+    const sounding = [];
+    changes.forEach(({ noteIndex, measure }) => {
+        const key = keySignatures.filter(k => k.noteIndex <= noteIndex).pop() || keySignatures[0];
+        const { diatonic, chromatic } = getTranspositionAt(transpositions, noteIndex);
+        const fifths = key.fifths + getIntervalFifths(diatonic, chromatic);
+        const last = sounding[sounding.length - 1];
+        if (last && last.noteIndex === noteIndex) {
+            last.fifths = fifths;
+        } else if (!last || last.fifths !== fifths) {
+            sounding.push({ noteIndex, measure, fifths });
+        }
+    });
+    return sounding;
+}
+
+// Decide which notes print an accidental: only where neither the key signature nor an
+// earlier accidental on the same line in the same measure already gives the written alteration
+// (sequences without measures, like the built-in exercises, treat every note as its own measure)
+function assignDisplayedAccidentals(sequence) {
+    let measure = null;
+    let measureAlters = {};
+
+    sequence.forEach((n, i) => {
+        if (n.measure === undefined || n.measure !== measure) {
+            measure = n.measure;
+            measureAlters = {};
+        }
+        if (n.rest) return;
+
+        // Grace notes come before their note, so their accidentals count first
+        [...(n.graceNotes || []), n].forEach(written => {
+            const { step, alter } = parseNoteName(written.note);
+            const line = `${step}${written.octave}`;
+            const expected = line in measureAlters ? measureAlters[line] : getKeyAlter(step, getKeySignatureAt(i));
+            written.accidental = alter === expected ? null : alter;
+            measureAlters[line] = alter;
+        });
+    });
+}
+
+// Load sequence with transposition based on selected starting note
+function loadSequence(id) {
+    const seq = sequences[id];
+    if (!seq || seq.notes.length === 0) return;
+
+    // Parts for transposing instruments are written away from the pitch they sound at.
+    // Targets are always the sounding pitch; the staff shows whichever the user chose
+    const transpositions = seq.transpositions || [];
+    const showWritten = pitchDisplaySelect.value === 'written';
+    const soundingNotes = seq.notes.map((n, i) => {
+        const { diatonic, chromatic } = getTranspositionAt(transpositions, i);
+        if (n.rest || (diatonic === 0 && chromatic === 0)) return n;
+        const sounding = { ...n, ...transposeByInterval(n.note, n.octave, diatonic, chromatic) };
+        if (n.graceNotes) {
+            sounding.graceNotes = n.graceNotes.map(g => transposeByInterval(g.note, g.octave, diatonic, chromatic));
+        }
+        return sounding;
+    });
+    const shownNotes = showWritten ? seq.notes : soundingNotes;
+
+    // Get the original starting note and the user's selected starting note
+    const originalStart = soundingNotes.find(n => !n.rest);
+    if (!originalStart) return;
+    const originalSemitone = noteToSemitone(originalStart.note, originalStart.octave);
+
+    const selectedNote = startNoteSelect.value;
+    const selectedOctave = parseInt(startOctaveSelect.value);
+    const selectedSemitone = noteToSemitone(selectedNote, selectedOctave);
+
+    // Calculate transposition interval
+    const transposition = selectedSemitone - originalSemitone;
+
+    // The key signature moves with the notes, respelled to keep it as simple as possible
+    const writtenKeys = seq.keySignatures || [{ noteIndex: 0, fifths: 0 }];
+    const sourceKeys = showWritten ? writtenKeys : getSoundingKeySignatures(writtenKeys, transpositions);
+    const fifthsShift = getTranspositionFifths(transposition, sourceKeys[0].fifths);
+
+    // Imported sequences carry their own timelines; built-in sequences are plain 4/4 at 90 BPM in C
+    sequenceState.keySignatures = sourceKeys.map(k => ({ ...k, fifths: k.fifths + fifthsShift }));
+    sequenceState.timeSignatures = seq.timeSignatures || [{ noteIndex: 0, beats: 4, beatType: 4 }];
+    sequenceState.tempoMap = seq.tempoMap || [{ noteIndex: 0, tempo: 90 }];
+    sequenceState.sectionMarks = seq.sectionMarks || [];
+
+    // Transpose all notes
+    sequenceState.currentSequence = shownNotes.map((n, i) => {
+        // Written pitch is drawn this many semitones from the pitch sung, so pitch traces are shifted to match
+        const displayShift = showWritten ? -getTranspositionAt(transpositions, i).chromatic : 0;
+
+        // Rests have no pitch to transpose
+        if (n.rest) {
+            return displayShift !== 0 ? { ...n, name: 'Rest', displayShift } : { ...n, name: 'Rest' };
+        }
+
+        const transposed = transposeSpelledNote(n.note, n.octave, transposition, fifthsShift);
+        const sounding = soundingNotes[i] === n
+            ? transposed
+            : transposeSpelledNote(soundingNotes[i].note, soundingNotes[i].octave, transposition, fifthsShift);
+
+        const entry = {
+            ...n,
+            note: transposed.note,
+            octave: transposed.octave,
+            midi: transposed.midi,
+            frequency: getFrequency(sounding.note, sounding.octave),
+            name: `${transposed.note}${transposed.octave}`
+        };
+        if (displayShift !== 0) {
+            entry.displayShift = displayShift;
+        }
+        if (n.graceNotes) {
+            entry.graceNotes = n.graceNotes.map(g => transposeSpelledNote(g.note, g.octave, transposition, fifthsShift));
+        }
+        return entry;
+    });
+    assignDisplayedAccidentals(sequenceState.currentSequence);
+
+    // Only offer the fermata hold for sequences that have fermatas, and the choice of
+    // written or sounding pitch for parts that transpose
+    fermataOption.style.display = seq.notes.some(n => n.fermata) ? '' : 'none';
+    pitchDisplayOption.style.display = transpositions.some(t => t.diatonic !== 0 || t.chromatic !== 0) ? '' : 'none';
+
+    // Reset user scroll when sequence changes
+    userScrollState.offset = 0;
+
+    drawSheetMusic();
+    sequenceResults.style.display = 'none';
+    sequenceCanvasContainer.classList.remove('active');
+
+    // Sync song practice mini-staff (if initialized)
+    if (typeof updateSongPracticeMiniStaff === 'function') {
+        updateSongPracticeMiniStaff();
+    }
+
+    // Update beat indicator to show dotted note for compound time
+    updateBeatIndicatorStyle();
+}
+
+// Update beat indicator to show quarter or dotted quarter based on the time signature at a sequence index
+function updateBeatIndicatorStyle(index = 0) {
+    if (isCompoundTime(getTimeSignatureAt(index))) {
+        beatIndicator.classList.add('dotted');
+    } else {
+        beatIndicator.classList.remove('dotted');
+    }
+}
+
+// Get the user's selected tempo in quarter notes per minute
+function getEffectiveTempoBPM() {
+    // tempoBPM is the user's selected playback tempo (in beats, where beat depends on time signature)
+
+    // The slider counts beats of the opening time signature; convert to quarter notes per minute
+    return tempoBPM * getQuartersPerBeat(getTimeSignatureAt(0));
+}
+
+// Get the time signature in effect at a sequence index
+function getTimeSignatureAt(index) {
+    let timeSignature = sequenceState.timeSignatures[0];
+    for (const entry of sequenceState.timeSignatures) {
+        if (entry.noteIndex > index) break;
+        timeSignature = entry;
+    }
+    return timeSignature;
+}
+
+// Compound time (6/8, 9/8, 12/8) is felt in dotted-quarter beats
+function isCompoundTime({ beats, beatType }) {
+    return beatType === 8 && (beats === 6 || beats === 9 || beats === 12);
+}
+
+// Get the length of one beat in quarter notes for a time signature
+function getQuartersPerBeat(timeSignature) {
+    const { beatType } = timeSignature;
+    if (isCompoundTime(timeSignature)) {
+        // The beat is a dotted quarter (1.5 quarter notes)
+        return 1.5;
+    } else if (beatType === 8) {
+        // Simple time with eighth note beat
+        return 0.5;
+    } else if (beatType === 2) {
+        // Half note beat
+        return 2;
+    }
+    return 4 / beatType;
+}
+
+// Get the length of one beat (ms, at the selected tempo) at a sequence index,
+// following both tempo and time signature changes
+function getBeatIntervalAt(index) {
+    const quarterMs = 60000 / getTempoAtIndex(index);
+    return getAdjustedDuration(quarterMs * getQuartersPerBeat(getTimeSignatureAt(index)));
+}
+
+// Get tempo-adjusted duration (in ms)
+function getAdjustedDuration(baseDuration) {
+    // baseDuration was calculated from the tempo map, so the whole map is scaled proportionally:
+    // the slider sets the opening tempo and later tempo changes keep their ratio to it
+    return baseDuration * (sequenceState.tempoMap[0].tempo / getEffectiveTempoBPM());
+}
+
+// Get the extra length a fermata adds, as a fraction of the note's written length
+function getFermataHold() {
+    return parseFloat(fermataHoldSelect.value);
+}
+
+// Get an entry's playback length in ms: its tempo-adjusted duration, held longer under a fermata
+function getPlaybackDuration(note) {
+    const duration = getAdjustedDuration(note.duration);
+    return note.fermata ? duration * (1 + getFermataHold()) : duration;
+}
+
+// Get the fraction of a note's length that is sung (staccato notes are sung short, then silence)
+function getSoundedFraction(note) {
+    return Math.min(1, ...(note.articulations || []).map(a => SOUNDED_FRACTIONS[a] || 1));
+}
+
+// Get the scaled tempo for a tempo map entry, in beats of the time signature at its sequence index
+function getScaledTempo(mapTempo, index = 0) {
+    const quarterTempo = getEffectiveTempoBPM() * mapTempo / sequenceState.tempoMap[0].tempo;
+    return Math.round(quarterTempo / getQuartersPerBeat(getTimeSignatureAt(index)));
+}
+
+// Sheet music drawing
+
+// Diatonic note positions (C=0, D=1, E=2, F=3, G=4, A=5, B=6)
+const diatonicPosition = { 'C': 0, 'D': 1, 'E': 2, 'F': 3, 'G': 4, 'A': 5, 'B': 6 };
+
+// Get the diatonic position of a note (for vertical placement on staff)
+function getStaffPosition(note, octave) {
+    // The written letter decides the line or space, whatever its accidental
+    // Position relative to C0: octave * 7 + diatonic position
+    return octave * 7 + diatonicPosition[note[0]];
+}
+
+// Staff position of the note on the bottom line of each clef
+// Treble: E4 (position 30), treble-8vb: E3 (written an octave above where it sounds), bass: G2
+const CLEF_BOTTOM_LINES = { treble: 30, 'treble-8vb': 23, bass: 18 };
+
+// Determine best clef for a sequence
+function getBestClef(sequence) {
+    const preferred = voiceState.clef;
+    const pitched = sequence.filter(n => !n.rest);
+    if (pitched.length === 0) return preferred || 'treble';
+
+    // Calculate average staff position
+    const avgPosition = pitched.reduce((sum, n) => sum + getStaffPosition(n.note, n.octave), 0) / pitched.length;
+
+    // The voice type's clef, unless the notes sit more than three ledger lines off the staff
+    if (preferred && Math.abs(avgPosition - (CLEF_BOTTOM_LINES[preferred] + 4)) <= 10) {
+        return preferred;
+    }
+
+    // Middle C (C4) is at position 28
+    // Use treble if average is >= C4, bass otherwise
+    return avgPosition >= 28 ? 'treble' : 'bass';
+}
+
+// Get Y position on canvas for a staff position
+function getYForStaffPosition(staffPos, clef, staffTop, lineSpacing) {
+    const refPosition = CLEF_BOTTOM_LINES[clef];
+
+    // Each staff position is half a line spacing
+    // Bottom line is at staffTop + 4 * lineSpacing
+    const bottomLineY = staffTop + 4 * lineSpacing;
+    const positionDiff = staffPos - refPosition;
+
+    return bottomLineY - (positionDiff * lineSpacing / 2);
+}
+
+// SVG path for treble clef
+const TREBLE_CLEF_PATH = "m51.688 5.25c-5.427-0.1409-11.774 12.818-11.563 24.375 0.049 3.52 1.16 10.659 2.781 19.625-10.223 10.581-22.094 21.44-22.094 35.688-0.163 13.057 7.817 29.692 26.75 29.532 2.906-0.02 5.521-0.38 7.844-1 1.731 9.49 2.882 16.98 2.875 20.44 0.061 13.64-17.86 14.99-18.719 7.15 3.777-0.13 6.782-3.13 6.782-6.84 0-3.79-3.138-6.88-7.032-6.88-2.141 0-4.049 0.94-5.343 2.41-0.03 0.03-0.065 0.06-0.094 0.09-0.292 0.31-0.538 0.68-0.781 1.1-0.798 1.35-1.316 3.29-1.344 6.06 0 11.42 28.875 18.77 28.875-3.75 0.045-3.03-1.258-10.72-3.156-20.41 20.603-7.45 15.427-38.04-3.531-38.184-1.47 0.015-2.887 0.186-4.25 0.532-1.08-5.197-2.122-10.241-3.032-14.876 7.199-7.071 13.485-16.224 13.344-33.093 0.022-12.114-4.014-21.828-8.312-21.969zm1.281 11.719c2.456-0.237 4.406 2.043 4.406 7.062 0.199 8.62-5.84 16.148-13.031 23.719-0.688-4.147-1.139-7.507-1.188-9.5 0.204-13.466 5.719-20.886 9.813-21.281zm-7.719 44.687c0.877 4.515 1.824 9.272 2.781 14.063-12.548 4.464-18.57 21.954-0.781 29.781-10.843-9.231-5.506-20.158 2.312-22.062 1.966 9.816 3.886 19.502 5.438 27.872-2.107 0.74-4.566 1.17-7.438 1.19-7.181 0-21.531-4.57-21.531-21.875 0-14.494 10.047-20.384 19.219-28.969zm6.094 21.469c0.313-0.019 0.652-0.011 0.968 0 13.063 0 17.99 20.745 4.688 27.375-1.655-8.32-3.662-17.86-5.656-27.375z";
+
+// SVG path for bass clef body (with group translate applied from original)
+const BASS_CLEF_PATH = "m13.976 0.23c-8.785 0.21-15.515 6.36-13.334 15.79 0.002 0.01 0.013 0.02 0.016 0.03 0.256 3.25 2.96 5.81 6.276 5.81 3.485 0 6.309-2.82 6.309-6.3 0-3.08-2.191-5.64-5.098-6.2-1.158-0.41-2.896-1.34-2.82-2.84 0.036-0.74 0.903-2.09 2.294-2.77 1.691-0.79 3.434-1.22 5.194-0.86 2.667 0.49 9.489 5.39 10.019 13.88 0.31 6.44-3.31 15.15-6.849 19.27-5.698 6.51-14.851 10.55-13.955 11.27 0.803 0.72 11.61-4.22 17.237-10.42 6.867-7.44 10.267-13.64 9.937-21.17-0.19-7.54-6.03-15.7-15.226-15.49z";
+
+// Draw a treble clef using SVG path
+function drawTrebleClef(ctx, x, staffTop, lineSpacing) {
+    ctx.save();
+    ctx.fillStyle = '#999';
+
+    // Scale based on line spacing (base scale 0.50 for lineSpacing=10)
+    const scale = (lineSpacing / 10) * 0.50;
+    const offsetX = x - 4 * (lineSpacing / 10);
+    // The G-circle in the SVG needs to align with G line (staffTop + 3*lineSpacing)
+    const offsetY = staffTop - 1.75 * lineSpacing;
+
+    ctx.translate(offsetX, offsetY);
+    ctx.scale(scale, scale);
+
+    const path = new Path2D(TREBLE_CLEF_PATH);
+    ctx.fill(path);
+
+    ctx.restore();
+}
+
+// Draw the clef for a staff (treble-8vb is a treble clef with a small 8 below it)
+function drawClef(ctx, clef, x, staffTop, lineSpacing) {
+    if (clef === 'bass') {
+        drawBassClef(ctx, x, staffTop, lineSpacing);
+        return;
+    }
+
+    drawTrebleClef(ctx, x, staffTop, lineSpacing);
+    if (clef === 'treble-8vb') {
+        ctx.save();
+        ctx.fillStyle = '#999';
+        ctx.font = `bold ${lineSpacing}px serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText('8', x + 2 * lineSpacing, staffTop + 6.3 * lineSpacing);
+        ctx.restore();
+    }
+}
+
+// Draw a bass clef using SVG path
+function drawBassClef(ctx, x, staffTop, lineSpacing) {
+    ctx.save();
+    ctx.fillStyle = '#999';
+
+    // Scale 0.75 for lineSpacing=10, position to align with F line
+    const scale = (lineSpacing / 10) * 0.75;
+    const offsetX = x + 6 * (lineSpacing / 10);
+    const offsetY = staffTop - 0.3 * lineSpacing;
+
+    ctx.translate(offsetX, offsetY);
+    ctx.scale(scale, scale);
+
+    // Draw main body
+    const path = new Path2D(BASS_CLEF_PATH);
+    ctx.fill(path);
+
+    // Draw two dots (positions from original SVG)
+    ctx.beginPath();
+    ctx.arc(36, 9.5, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(36, 22.6, 5, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+}
+
+// Staff positions of key signature accidentals on the treble staff, in the order they are added
+// (the bass staff uses the same shapes two octaves lower)
+const KEY_SHARP_POSITIONS = [38, 35, 39, 36, 33, 37, 34];  // F5 C5 G5 D5 A4 E5 B4
+const KEY_FLAT_POSITIONS = [34, 37, 33, 36, 32, 35, 31];   // B4 E5 A4 D5 G4 C5 F4
+
+// Width taken by a key signature after the clef
+function getKeySignatureWidth(fifths) {
+    const count = Math.min(7, Math.abs(fifths));
+    return count === 0 ? 0 : count * 7 + 4;
+}
+
+// Draw a key signature starting at x
+function drawKeySignature(ctx, x, staffTop, lineSpacing, clef, fifths, color = '#bbb') {
+    const count = Math.min(7, Math.abs(fifths));
+    if (count === 0) return;
+
+    const positions = fifths > 0 ? KEY_SHARP_POSITIONS : KEY_FLAT_POSITIONS;
+    const clefShift = CLEF_BOTTOM_LINES[clef] - CLEF_BOTTOM_LINES.treble;
+
+    ctx.save();
+    ctx.fillStyle = color;
+    ctx.font = 'bold 14px serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (let i = 0; i < count; i++) {
+        const y = getYForStaffPosition(positions[i] + clefShift, clef, staffTop, lineSpacing);
+        ctx.fillText(getAccidentalSymbol(fifths > 0 ? 1 : -1), x + i * 7 + 3, y);
+    }
+    ctx.restore();
+}
+
+// Draw key signature changes after the opening one, just before the note they apply to
+function drawKeyChanges(ctx, notePositions, offsetX, clipLeftEdge, width, staffTop, lineSpacing, clef) {
+    sequenceState.keySignatures.slice(1).forEach(entry => {
+        if (entry.noteIndex >= notePositions.length) return;
+        const keyWidth = getKeySignatureWidth(entry.fifths);
+        const x = getBoundaryX(notePositions, entry.noteIndex) + offsetX - keyWidth + 4;
+        if (x < clipLeftEdge || x > width) return;
+        drawKeySignature(ctx, x, staffTop, lineSpacing, clef, entry.fifths, '#888');
+    });
+}
+
+// Get the number of flags (or rest hooks) for a note type
+function getFlagCount(noteType) {
+    switch (noteType) {
+        case NOTE_TYPES.EIGHTH: return 1;
+        case NOTE_TYPES.SIXTEENTH: return 2;
+        case NOTE_TYPES.THIRTY_SECOND: return 3;
+        default: return 0;
+    }
+}
+
+// Draw a note with stem (supports different note types)
+// accidental is the alteration to print (null for none)
+function drawNote(ctx, x, y, accidental, isActive, isCompleted, staffMiddleY, score = null, noteType = NOTE_TYPES.QUARTER, dotted = false) {
+    ctx.save();
+
+    // Determine colors
+    const noteColor = getNoteColor(isActive, isCompleted, score);
+    ctx.fillStyle = noteColor;
+    ctx.strokeStyle = noteColor;
+
+    // Note head dimensions
+    const flagCount = getFlagCount(noteType);
+    const flagGap = 7;
+    const noteWidth = 7;
+    const noteHeight = 5;
+    // Lengthen the stem so a 32nd's three flags clear the note head
+    const stemHeight = 30 + Math.max(0, flagCount - 2) * flagGap;
+    const stemWidth = 1.5;
+
+    // Determine if note head should be filled or hollow
+    const isHollow = noteType === NOTE_TYPES.WHOLE || noteType === NOTE_TYPES.HALF;
+    const hasStem = noteType !== NOTE_TYPES.WHOLE;
+
+    // Stem direction: down if on or above middle line, up if below
+    const stemDown = y <= staffMiddleY;
+
+    // Draw note head
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    if (noteType === NOTE_TYPES.WHOLE) {
+        // Whole note: wider, more horizontal oval
+        ctx.ellipse(x, y, noteWidth + 2, noteHeight, 0, 0, 2 * Math.PI);
+    } else {
+        // Other notes: tilted oval
+        ctx.ellipse(x, y, noteWidth, noteHeight, -0.3, 0, 2 * Math.PI);
+    }
+
+    if (isHollow) {
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    } else {
+        ctx.fill();
+    }
+
+    // Draw stem
+    if (hasStem) {
+        if (stemDown) {
+            // Stem down (on left side of note)
+            ctx.fillRect(x - noteWidth + 1, y, stemWidth, stemHeight);
+
+            // Draw flags for eighth and shorter notes (stem down), stacked up the stem
+            for (let f = 0; f < flagCount; f++) {
+                const flagY = y + stemHeight - f * flagGap;
+                ctx.beginPath();
+                ctx.moveTo(x - noteWidth + 1 + stemWidth, flagY);
+                ctx.quadraticCurveTo(
+                    x - noteWidth + 15, flagY - 5,
+                    x - noteWidth + 12, flagY - 15
+                );
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+        } else {
+            // Stem up (on right side of note)
+            ctx.fillRect(x + noteWidth - stemWidth - 1, y - stemHeight, stemWidth, stemHeight);
+
+            // Draw flags for eighth and shorter notes (stem up), stacked down the stem
+            for (let f = 0; f < flagCount; f++) {
+                const flagY = y - stemHeight + f * flagGap;
+                ctx.beginPath();
+                ctx.moveTo(x + noteWidth - 1, flagY);
+                ctx.quadraticCurveTo(
+                    x + noteWidth + 10, flagY + 5,
+                    x + noteWidth + 8, flagY + 15
+                );
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+        }
+    }
 
-function startBeatIndicator() {
-    stopBeatIndicator();
+    // Draw dot for dotted notes
+    if (dotted) {
+        ctx.beginPath();
+        ctx.arc(x + noteWidth + 5, y, 2, 0, 2 * Math.PI);
+        ctx.fill();
+    }
 
-    // BPM now means "beats per minute" where beat depends on time signature
-    // So the interval is simply 60000 / tempoBPM regardless of time signature
-    const beatIntervalMs = 60000 / tempoBPM;
+    // Draw accidental if needed
+    if (accidental !== null) {
+        ctx.font = 'bold 14px serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(getAccidentalSymbol(accidental), x - 16, y);
+    }
 
-    // Pulse immediately, then on interval
-    pulseBeatIndicator();
-    beatIndicatorInterval = setInterval(pulseBeatIndicator, beatIntervalMs);
+    ctx.restore();
 }
 
-function stopBeatIndicator() {
-    if (beatIndicatorInterval) {
-        clearInterval(beatIndicatorInterval);
-        beatIndicatorInterval = null;
+// Get the display color for a note or rest on the main staff
+function getNoteColor(isActive, isCompleted, score) {
+    if (score !== null) {
+        // Color based on performance score
+        if (score >= 70) {
+            return '#6bcb77'; // Green - good
+        } else if (score >= 40) {
+            return '#ffd93d'; // Yellow - okay
+        }
+        return '#ff6b6b'; // Red - poor
+    } else if (isActive) {
+        return '#4ecdc4'; // Cyan - current
+    } else if (isCompleted) {
+        return '#6bcb77'; // Green - completed
     }
-    beatIndicator.classList.remove('pulse');
+    return '#bbb'; // Gray - upcoming
 }
 
-function pulseBeatIndicator() {
-    beatIndicator.classList.add('pulse');
-    setTimeout(() => beatIndicator.classList.remove('pulse'), 100);
-}
+// Draw a rest symbol (sizes scale with lineSpacing so it works on mini-staffs too)
+function drawRest(ctx, x, staffTop, lineSpacing, color, noteType = NOTE_TYPES.QUARTER, dotted = false) {
+    ctx.save();
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
 
-// Mode toggle
-function setMode(mode) {
-    if (mode === 'free') {
-        sequenceState.isSequenceMode = false;
-        modeFreeBtn.classList.add('active');
-        modeSequenceBtn.classList.remove('active');
-        freePracticeSections.forEach(el => el.style.display = '');
-        sequenceSection.style.display = 'none';
-        if (sequenceState.isPlaying) {
-            stopSequence();
-        }
+    const s = lineSpacing / 10;
+    const middleY = staffTop + 2 * lineSpacing;
+
+    if (noteType === NOTE_TYPES.WHOLE) {
+        // Whole rest hangs below the fourth line
+        ctx.fillRect(x - 6 * s, staffTop + lineSpacing, 12 * s, lineSpacing / 2);
+    } else if (noteType === NOTE_TYPES.HALF) {
+        // Half rest sits on the middle line
+        ctx.fillRect(x - 6 * s, middleY - lineSpacing / 2, 12 * s, lineSpacing / 2);
+    } else if (noteType === NOTE_TYPES.QUARTER) {
+        // Quarter rest: zig-zag with a hooked tail
+        ctx.lineWidth = 2 * s;
+        ctx.beginPath();
+        ctx.moveTo(x - 3 * s, middleY - 15 * s);
+        ctx.lineTo(x + 4 * s, middleY - 6 * s);
+        ctx.lineTo(x - 3 * s, middleY + 2 * s);
+        ctx.lineTo(x + 4 * s, middleY + 9 * s);
+        ctx.quadraticCurveTo(x - 6 * s, middleY + 6 * s, x - 1 * s, middleY + 16 * s);
+        ctx.stroke();
     } else {
-        sequenceState.isSequenceMode = true;
-        modeSequenceBtn.classList.add('active');
-        modeFreeBtn.classList.remove('active');
-        freePracticeSections.forEach(el => el.style.display = 'none');
-        sequenceSection.style.display = '';
-        if (isRunning) {
-            stop();
+        // Eighth and shorter rests: a slanted stroke with a hooked dot per flag,
+        // each hook one step further down (and left) along the stroke
+        const hooks = getFlagCount(noteType);
+        const topY = middleY - 7 * s - (hooks - 1) * 4 * s;
+        ctx.lineWidth = 1.5 * s;
+        for (let h = 0; h < hooks; h++) {
+            const hookX = x + 4 * s - h * 2 * s;
+            const hookY = topY + h * 7 * s;
+            ctx.beginPath();
+            ctx.arc(hookX - 7 * s, hookY + 2 * s, 2.5 * s, 0, 2 * Math.PI);
+            ctx.fill();
+            ctx.beginPath();
+            ctx.moveTo(hookX - 7 * s, hookY + 4 * s);
+            ctx.quadraticCurveTo(hookX - 3 * s, hookY + 5 * s, hookX, hookY);
+            ctx.stroke();
         }
-        loadSequence(sequenceSelect.value);
+        ctx.beginPath();
+        ctx.moveTo(x + 4 * s, topY);
+        ctx.lineTo(x - 1 * s - (hooks - 1) * 2 * s, middleY + 10 * s + (hooks - 1) * 3 * s);
+        ctx.stroke();
     }
-}
 
-// Convert note + octave to semitone number (C0 = 0)
-function noteToSemitone(note, octave) {
-    return octave * 12 + noteNames.indexOf(note);
+    // Draw dot for dotted rests (in the space above the middle line)
+    if (dotted) {
+        ctx.beginPath();
+        ctx.arc(x + 10 * s, middleY - lineSpacing / 2, 2 * s, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+
+    ctx.restore();
 }
 
-// Convert semitone number back to note + octave
-function semitoneToNote(semitone) {
-    const octave = Math.floor(semitone / 12);
-    const noteIndex = ((semitone % 12) + 12) % 12; // Handle negative values
-    return { note: noteNames[noteIndex], octave };
+// Draw ledger lines for notes outside the staff
+function drawLedgerLines(ctx, x, y, staffTop, lineSpacing, clef) {
+    ctx.save();
+    ctx.strokeStyle = '#666';
+    ctx.lineWidth = 1;
+
+    const bottomLine = staffTop + 4 * lineSpacing;
+    const topLine = staffTop;
+
+    // Draw ledger lines below staff
+    if (y > bottomLine + lineSpacing / 2) {
+        for (let ly = bottomLine + lineSpacing; ly <= y + lineSpacing / 2; ly += lineSpacing) {
+            ctx.beginPath();
+            ctx.moveTo(x - 12, ly);
+            ctx.lineTo(x + 12, ly);
+            ctx.stroke();
+        }
+    }
+
+    // Draw ledger lines above staff
+    if (y < topLine - lineSpacing / 2) {
+        for (let ly = topLine - lineSpacing; ly >= y - lineSpacing / 2; ly -= lineSpacing) {
+            ctx.beginPath();
+            ctx.moveTo(x - 12, ly);
+            ctx.lineTo(x + 12, ly);
+            ctx.stroke();
+        }
+    }
+
+    ctx.restore();
 }
 
-// Load sequence with transposition based on selected starting note
-function loadSequence(id) {
-    const seq = sequences[id];
-    if (!seq || seq.notes.length === 0) return;
+// Draw a tie arc between two note heads (curves away from the stems)
+function drawTieArc(ctx, x1, x2, y, stemDown, color) {
+    const direction = stemDown ? -1 : 1;
+    const startY = y + direction * 5;
+    const controlY = startY + direction * 7;
 
-    // Get the original starting note and the user's selected starting note
-    const originalStart = seq.notes[0];
-    const originalSemitone = noteToSemitone(originalStart.note, originalStart.octave);
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(x1 + 4, startY);
+    ctx.quadraticCurveTo((x1 + x2) / 2, controlY, x2 - 4, startY);
+    ctx.stroke();
+    ctx.restore();
+}
 
-    const selectedNote = startNoteSelect.value;
-    const selectedOctave = parseInt(startOctaveSelect.value);
-    const selectedSemitone = noteToSemitone(selectedNote, selectedOctave);
+// Draw a grace note: a small head with an upward flagged stem, slashed when it stands alone
+function drawGraceNote(ctx, x, y, accidental, color, slashed) {
+    const noteWidth = 4.5;
+    const stemHeight = 20;
 
-    // Calculate transposition interval
-    const transposition = selectedSemitone - originalSemitone;
+    ctx.save();
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
 
-    // Transpose all notes
-    sequenceState.currentSequence = seq.notes.map(n => {
-        const originalSemi = noteToSemitone(n.note, n.octave);
-        const transposedSemi = originalSemi + transposition;
-        const transposed = semitoneToNote(transposedSemi);
+    ctx.beginPath();
+    ctx.ellipse(x, y, noteWidth, 3.5, -0.3, 0, 2 * Math.PI);
+    ctx.fill();
 
-        return {
-            ...n,
-            note: transposed.note,
-            octave: transposed.octave,
-            frequency: getFrequency(transposed.note, transposed.octave),
-            name: `${transposed.note}${transposed.octave}`
-        };
-    });
+    const stemX = x + noteWidth - 1;
+    ctx.beginPath();
+    ctx.moveTo(stemX, y);
+    ctx.lineTo(stemX, y - stemHeight);
+    ctx.quadraticCurveTo(stemX + 7, y - stemHeight + 4, stemX + 5, y - stemHeight + 10);
+    ctx.stroke();
 
-    // Reset time signature and source tempo for built-in sequences (not custom, which sets them before calling this)
-    if (id !== 'custom') {
-        sequenceState.timeSignature = { beats: 4, beatType: 4 };
-        sequenceState.sourceTempo = 90; // Built-in sequences are defined at 90 BPM
+    if (slashed) {
+        ctx.beginPath();
+        ctx.moveTo(stemX - 4, y - stemHeight + 12);
+        ctx.lineTo(stemX + 6, y - stemHeight + 4);
+        ctx.stroke();
     }
 
-    // Reset user scroll when sequence changes
-    userScrollState.offset = 0;
+    if (accidental !== null && accidental !== undefined) {
+        ctx.font = 'bold 10px serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(getAccidentalSymbol(accidental), x - 10, y);
+    }
 
-    drawSheetMusic();
-    sequenceResults.style.display = 'none';
-    sequenceCanvasContainer.classList.remove('active');
+    ctx.restore();
+}
 
-    // Sync song practice mini-staff (if initialized)
-    if (typeof updateSongPracticeMiniStaff === 'function') {
-        updateSongPracticeMiniStaff();
-    }
+// Draw articulation marks by a note head, on the side away from the stem
+function drawArticulations(ctx, x, y, articulations, stemDown, color) {
+    const dir = stemDown ? -1 : 1;
 
-    // Update beat indicator to show dotted note for compound time
-    updateBeatIndicatorStyle();
+    ctx.save();
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+
+    articulations.forEach((articulation, a) => {
+        const markY = y + dir * (11 + a * 8);
+        ctx.beginPath();
+        switch (articulation) {
+            case 'staccato':
+                ctx.arc(x, markY, 1.8, 0, 2 * Math.PI);
+                ctx.fill();
+                break;
+            case 'staccatissimo':
+            case 'spiccato':
+                // Wedge pointing at the note head
+                ctx.moveTo(x - 2, markY + dir * 3);
+                ctx.lineTo(x + 2, markY + dir * 3);
+                ctx.lineTo(x, markY - dir * 3);
+                ctx.closePath();
+                ctx.fill();
+                break;
+            case 'tenuto':
+                ctx.moveTo(x - 5, markY);
+                ctx.lineTo(x + 5, markY);
+                ctx.stroke();
+                break;
+            case 'accent':
+                ctx.moveTo(x - 5, markY - 3);
+                ctx.lineTo(x + 5, markY);
+                ctx.lineTo(x - 5, markY + 3);
+                ctx.stroke();
+                break;
+            case 'strong-accent':
+                // Marcato: an upturned wedge
+                ctx.moveTo(x - 4, markY + 3);
+                ctx.lineTo(x, markY - 4);
+                ctx.lineTo(x + 4, markY + 3);
+                ctx.stroke();
+                break;
+        }
+    });
+
+    ctx.restore();
 }
 
-// Update beat indicator to show quarter or dotted quarter based on time signature
-function updateBeatIndicatorStyle() {
-    const { beats, beatType } = sequenceState.timeSignature;
-    const isCompoundTime = beatType === 8 && (beats === 6 || beats === 9 || beats === 12);
+// Draw a fermata (arc over a dot) whose dot sits at y
+function drawFermata(ctx, x, y, color) {
+    ctx.save();
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(x, y + 1, 8, Math.PI, 2 * Math.PI);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(x, y - 1, 1.8, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.restore();
+}
 
-    if (isCompoundTime) {
-        beatIndicator.classList.add('dotted');
+// Draw a breath mark (comma above the staff) or caesura (two slashes through the top line)
+function drawBreathMark(ctx, x, staffTop, type, color) {
+    ctx.save();
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+    if (type === 'caesura') {
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x - 6, staffTop + 6);
+        ctx.lineTo(x, staffTop - 8);
+        ctx.moveTo(x - 1, staffTop + 6);
+        ctx.lineTo(x + 5, staffTop - 8);
+        ctx.stroke();
     } else {
-        beatIndicator.classList.remove('dotted');
+        ctx.font = 'bold 20px serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText(',', x, staffTop - 6);
     }
+    ctx.restore();
 }
 
-// Get tempo-adjusted duration (in ms)
-function getAdjustedDuration(baseDuration) {
-    // Scale duration from source tempo to target tempo
-    // sourceTempo is the BPM at which baseDuration was calculated (always in quarter notes)
-    // tempoBPM is the user's selected playback tempo (in beats, where beat depends on time signature)
-
-    // For compound time (6/8, 9/8, 12/8), the beat is a dotted quarter (1.5 quarter notes)
-    // So tempoBPM in compound time means "dotted quarters per minute"
-    // Convert to quarter notes per minute for the calculation
-    const { beats, beatType } = sequenceState.timeSignature;
-    const isCompoundTime = beatType === 8 && (beats === 6 || beats === 9 || beats === 12);
+// Draw one sequence entry (rest, note, or tied note group) on the main staff
+// Tied notes are one logical note; each written segment gets its own head, spaced by duration
+function drawSequenceEntry(ctx, note, x, spacing, clef, staffTop, lineSpacing, clipLeftEdge, isActive, isCompleted, score) {
+    const color = getNoteColor(isActive, isCompleted, score);
 
-    let effectiveTempoBPM = tempoBPM;
-    if (isCompoundTime) {
-        // User's BPM is in dotted quarters, convert to quarter notes
-        effectiveTempoBPM = tempoBPM * 1.5;
-    } else if (beatType === 8) {
-        // Simple time with eighth note beat - BPM is in eighths, convert to quarters
-        effectiveTempoBPM = tempoBPM / 2;
-    } else if (beatType === 2) {
-        // Half note beat - BPM is in halves, convert to quarters
-        effectiveTempoBPM = tempoBPM * 2;
+    if (note.rest) {
+        if (x >= clipLeftEdge) {
+            if (note.breath) {
+                drawBreathMark(ctx, x, staffTop, note.breath, color);
+                return;
+            }
+            drawRest(ctx, x, staffTop, lineSpacing, color, note.noteType || NOTE_TYPES.QUARTER, note.dotted || false);
+            if (note.fermata) drawFermata(ctx, x, staffTop - 8, color);
+        }
+        return;
     }
 
-    return baseDuration * (sequenceState.sourceTempo / effectiveTempoBPM);
-}
-
-// Sheet music drawing
+    // Middle line of staff (for stem direction)
+    const staffMiddleY = staffTop + 2 * lineSpacing;
+    const staffPos = getStaffPosition(note.note, note.octave);
+    const y = getYForStaffPosition(staffPos, clef, staffTop, lineSpacing);
+    const accidental = note.accidental ?? null;
+
+    const segments = note.tiedSegments || [
+        { duration: note.duration, noteType: note.noteType || NOTE_TYPES.QUARTER, dotted: note.dotted || false }
+    ];
+
+    // Grace notes sit just left of the note (and its accidental); they take no time and aren't scored
+    if (note.graceNotes && x >= clipLeftEdge) {
+        const lastGraceX = x - (accidental !== null ? 28 : 16);
+        note.graceNotes.forEach((grace, g) => {
+            const graceX = lastGraceX - (note.graceNotes.length - 1 - g) * 12;
+            const graceY = getYForStaffPosition(getStaffPosition(grace.note, grace.octave), clef, staffTop, lineSpacing);
+            drawLedgerLines(ctx, graceX, graceY, staffTop, lineSpacing, clef);
+            drawGraceNote(ctx, graceX, graceY, grace.accidental ?? null, color, note.graceNotes.length === 1);
+        });
+    }
 
-// Diatonic note positions (C=0, D=1, E=2, F=3, G=4, A=5, B=6)
-const diatonicPosition = { 'C': 0, 'D': 1, 'E': 2, 'F': 3, 'G': 4, 'A': 5, 'B': 6 };
+    let segmentX = x;
+    let prevSegmentX = null;
+    segments.forEach((segment, s) => {
+        if (segmentX >= clipLeftEdge) {
+            // Draw ledger lines if needed
+            drawLedgerLines(ctx, segmentX, y, staffTop, lineSpacing, clef);
+
+            // Only the first head carries the accidental and articulations; a fermata goes over the last
+            drawNote(ctx, segmentX, y, s === 0 ? accidental : null, isActive, isCompleted, staffMiddleY, score, segment.noteType, segment.dotted);
+            if (s === 0 && note.articulations) {
+                drawArticulations(ctx, segmentX, y, note.articulations, y <= staffMiddleY, color);
+            }
+            if (s === segments.length - 1 && note.fermata) {
+                // Clear the staff, and an up-stem on low notes
+                const stemTop = y <= staffMiddleY ? y - 12 : y - 42;
+                drawFermata(ctx, segmentX, Math.max(8, Math.min(staffTop - 8, stemTop)), color);
+            }
 
-// Get the diatonic position of a note (for vertical placement on staff)
-function getStaffPosition(note, octave) {
-    // Get base note without sharp
-    const baseNote = note.replace('#', '');
-    // Position relative to C0: octave * 7 + diatonic position
-    return octave * 7 + diatonicPosition[baseNote];
+            if (prevSegmentX !== null) {
+                drawTieArc(ctx, Math.max(prevSegmentX, clipLeftEdge), segmentX, y, y <= staffMiddleY, color);
+            }
+        }
+        prevSegmentX = segmentX;
+        segmentX += spacing * (segment.duration / note.duration);
+    });
 }
 
-// Determine best clef for a sequence
-function getBestClef(sequence) {
-    if (sequence.length === 0) return 'treble';
+// Get the note symbol for one beat of the time signature at a sequence index (used in tempo marks)
+function getBeatUnitSymbol(index = 0) {
+    const timeSignature = getTimeSignatureAt(index);
+    const { beatType } = timeSignature;
+    if (isCompoundTime(timeSignature)) return '\u2669.';
+    if (beatType === 8) return '\u266A';
+    if (beatType === 2) return '\uD834\uDD5E';
+    return '\u2669';
+}
 
-    // Calculate average staff position
-    const avgPosition = sequence.reduce((sum, n) => sum + getStaffPosition(n.note, n.octave), 0) / sequence.length;
+// Draw tempo change markings above the staff, scaled to the selected tempo
+function drawTempoMarks(ctx, notePositions, offsetX, clipLeftEdge, width) {
+    const tempoMap = sequenceState.tempoMap;
+    if (tempoMap.length < 2) return;
 
-    // Middle C (C4) is at position 28
-    // Use treble if average is >= C4, bass otherwise
-    return avgPosition >= 28 ? 'treble' : 'bass';
-}
+    ctx.save();
+    ctx.fillStyle = '#888';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
 
-// Get Y position on canvas for a staff position
-function getYForStaffPosition(staffPos, clef, staffTop, lineSpacing) {
-    // Reference positions for each clef (the note on the bottom line)
-    // Treble: bottom line is E4 (position 30)
-    // Bass: bottom line is G2 (position 18)
-    const refPosition = clef === 'treble' ? 30 : 18;
+    // The opening tempo is shown by the slider, so only mark the changes
+    tempoMap.slice(1).forEach(entry => {
+        const pos = notePositions[entry.noteIndex];
+        if (!pos) return;
+        const x = pos.x + offsetX - 6;
+        if (x < clipLeftEdge || x > width) return;
+        ctx.fillText(`${getBeatUnitSymbol(entry.noteIndex)} = ${getScaledTempo(entry.tempo, entry.noteIndex)}`, x, 40);
+    });
 
-    // Each staff position is half a line spacing
-    // Bottom line is at staffTop + 4 * lineSpacing
-    const bottomLineY = staffTop + 4 * lineSpacing;
-    const positionDiff = staffPos - refPosition;
+    ctx.restore();
+}
 
-    return bottomLineY - (positionDiff * lineSpacing / 2);
+// Get the x position of the boundary just before a sequence index (index === length is the end)
+function getBoundaryX(notePositions, index) {
+    const prev = notePositions[index - 1];
+    const nextX = index < notePositions.length ? notePositions[index].x : prev.x + prev.spacing;
+    const gap = prev ? nextX - prev.x : 28;
+    return nextX - Math.min(14, gap / 2);
 }
 
-// SVG path for treble clef
-const TREBLE_CLEF_PATH = "m51.688 5.25c-5.427-0.1409-11.774 12.818-11.563 24.375 0.049 3.52 1.16 10.659 2.781 19.625-10.223 10.581-22.094 21.44-22.094 35.688-0.163 13.057 7.817 29.692 26.75 29.532 2.906-0.02 5.521-0.38 7.844-1 1.731 9.49 2.882 16.98 2.875 20.44 0.061 13.64-17.86 14.99-18.719 7.15 3.777-0.13 6.782-3.13 6.782-6.84 0-3.79-3.138-6.88-7.032-6.88-2.141 0-4.049 0.94-5.343 2.41-0.03 0.03-0.065 0.06-0.094 0.09-0.292 0.31-0.538 0.68-0.781 1.1-0.798 1.35-1.316 3.29-1.344 6.06 0 11.42 28.875 18.77 28.875-3.75 0.045-3.03-1.258-10.72-3.156-20.41 20.603-7.45 15.427-38.04-3.531-38.184-1.47 0.015-2.887 0.186-4.25 0.532-1.08-5.197-2.122-10.241-3.032-14.876 7.199-7.071 13.485-16.224 13.344-33.093 0.022-12.114-4.014-21.828-8.312-21.969zm1.281 11.719c2.456-0.237 4.406 2.043 4.406 7.062 0.199 8.62-5.84 16.148-13.031 23.719-0.688-4.147-1.139-7.507-1.188-9.5 0.204-13.466 5.719-20.886 9.813-21.281zm-7.719 44.687c0.877 4.515 1.824 9.272 2.781 14.063-12.548 4.464-18.57 21.954-0.781 29.781-10.843-9.231-5.506-20.158 2.312-22.062 1.966 9.816 3.886 19.502 5.438 27.872-2.107 0.74-4.566 1.17-7.438 1.19-7.181 0-21.531-4.57-21.531-21.875 0-14.494 10.047-20.384 19.219-28.969zm6.094 21.469c0.313-0.019 0.652-0.011 0.968 0 13.063 0 17.99 20.745 4.688 27.375-1.655-8.32-3.662-17.86-5.656-27.375z";
+// Draw repeat barlines, volta brackets and D.C./D.S./coda markers
+function drawSectionMarks(ctx, notePositions, offsetX, clipLeftEdge, width, staffTop, lineSpacing) {
+    const marks = sequenceState.sectionMarks;
+    if (marks.length === 0 || notePositions.length === 0) return;
 
-// SVG path for bass clef body (with group translate applied from original)
-const BASS_CLEF_PATH = "m13.976 0.23c-8.785 0.21-15.515 6.36-13.334 15.79 0.002 0.01 0.013 0.02 0.016 0.03 0.256 3.25 2.96 5.81 6.276 5.81 3.485 0 6.309-2.82 6.309-6.3 0-3.08-2.191-5.64-5.098-6.2-1.158-0.41-2.896-1.34-2.82-2.84 0.036-0.74 0.903-2.09 2.294-2.77 1.691-0.79 3.434-1.22 5.194-0.86 2.667 0.49 9.489 5.39 10.019 13.88 0.31 6.44-3.31 15.15-6.849 19.27-5.698 6.51-14.851 10.55-13.955 11.27 0.803 0.72 11.61-4.22 17.237-10.42 6.867-7.44 10.267-13.64 9.937-21.17-0.19-7.54-6.03-15.7-15.226-15.49z";
+    const staffBottom = staffTop + 4 * lineSpacing;
+    const dotYs = [staffTop + 1.5 * lineSpacing, staffTop + 2.5 * lineSpacing];
 
-// Draw a treble clef using SVG path
-function drawTrebleClef(ctx, x, staffTop, lineSpacing) {
     ctx.save();
-    ctx.fillStyle = '#999';
+    ctx.strokeStyle = '#888';
+    ctx.fillStyle = '#888';
+    ctx.font = 'italic 11px serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
 
-    // Scale based on line spacing (base scale 0.50 for lineSpacing=10)
-    const scale = (lineSpacing / 10) * 0.50;
-    const offsetX = x - 4 * (lineSpacing / 10);
-    // The G-circle in the SVG needs to align with G line (staffTop + 3*lineSpacing)
-    const offsetY = staffTop - 1.75 * lineSpacing;
+    marks.forEach(mark => {
+        let x = getBoundaryX(notePositions, mark.noteIndex) + offsetX;
+        if (x < clipLeftEdge || x > width) return;
 
-    ctx.translate(offsetX, offsetY);
-    ctx.scale(scale, scale);
+        // An end and start repeat at the same boundary sit back to back
+        const back = marks.some(m => m !== mark && m.noteIndex === mark.noteIndex &&
+            m.type === (mark.type === 'repeat-start' ? 'repeat-end' : 'repeat-start'));
+        if (back) x += mark.type === 'repeat-start' ? 3 : -3;
 
-    const path = new Path2D(TREBLE_CLEF_PATH);
-    ctx.fill(path);
+        if (mark.type === 'repeat-start' || mark.type === 'repeat-end') {
+            // Thick line on the outside, thin line and dots facing the repeated music
+            const dir = mark.type === 'repeat-start' ? 1 : -1;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(x - dir * 2, staffTop);
+            ctx.lineTo(x - dir * 2, staffBottom);
+            ctx.stroke();
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x + dir * 2, staffTop);
+            ctx.lineTo(x + dir * 2, staffBottom);
+            ctx.stroke();
+            dotYs.forEach(y => {
+                ctx.beginPath();
+                ctx.arc(x + dir * 6, y, 1.5, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        } else if (mark.type === 'ending') {
+            // Volta bracket hook with its pass numbers
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, 30);
+            ctx.lineTo(x, 18);
+            ctx.lineTo(x + 24, 18);
+            ctx.stroke();
+            ctx.fillText(mark.text, x + 3, 25);
+        } else {
+            ctx.fillText(mark.text, x, 24);
+        }
+    });
 
     ctx.restore();
 }
 
-// Draw a bass clef using SVG path
-function drawBassClef(ctx, x, staffTop, lineSpacing) {
-    ctx.save();
-    ctx.fillStyle = '#999';
-
-    // Scale 0.75 for lineSpacing=10, position to align with F line
-    const scale = (lineSpacing / 10) * 0.75;
-    const offsetX = x + 6 * (lineSpacing / 10);
-    const offsetY = staffTop - 0.3 * lineSpacing;
+// Draw tuplet brackets with their numbers above each group of tuplet notes
+function drawTuplets(ctx, sequence, notePositions, offsetX, clipLeftEdge, width, staffTop, lineSpacing, clef) {
+    let groupStart = null;
 
-    ctx.translate(offsetX, offsetY);
-    ctx.scale(scale, scale);
+    ctx.save();
+    ctx.strokeStyle = '#888';
+    ctx.fillStyle = '#888';
+    ctx.lineWidth = 1;
+    ctx.font = 'italic bold 11px serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
 
-    // Draw main body
-    const path = new Path2D(BASS_CLEF_PATH);
-    ctx.fill(path);
+    sequence.forEach((entry, i) => {
+        if (!entry.tuplet) return;
+        if (entry.tuplet.start || groupStart === null) groupStart = i;
+        if (!entry.tuplet.stop) return;
+
+        const x1 = notePositions[groupStart].x + offsetX - 8;
+        const x2 = notePositions[i].x + offsetX + 8;
+        const first = groupStart;
+        groupStart = null;
+        if (x2 < clipLeftEdge || x1 > width) return;
+
+        // Clear the staff and any up-stems in the group
+        let bracketY = staffTop - 8;
+        for (let j = first; j <= i; j++) {
+            if (sequence[j].rest) continue;
+            const y = getYForStaffPosition(getStaffPosition(sequence[j].note, sequence[j].octave), clef, staffTop, lineSpacing);
+            const top = y <= staffTop + 2 * lineSpacing ? y - 10 : y - 38;
+            bracketY = Math.min(bracketY, top);
+        }
+        bracketY = Math.max(8, bracketY);
 
-    // Draw two dots (positions from original SVG)
-    ctx.beginPath();
-    ctx.arc(36, 9.5, 5, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.beginPath();
-    ctx.arc(36, 22.6, 5, 0, Math.PI * 2);
-    ctx.fill();
+        const midX = (x1 + x2) / 2;
+        const gap = 7;
+        ctx.beginPath();
+        ctx.moveTo(x1, bracketY + 4);
+        ctx.lineTo(x1, bracketY);
+        ctx.lineTo(midX - gap, bracketY);
+        ctx.moveTo(midX + gap, bracketY);
+        ctx.lineTo(x2, bracketY);
+        ctx.lineTo(x2, bracketY + 4);
+        ctx.stroke();
+        ctx.fillText(String(entry.tuplet.actual), midX, bracketY);
+    });
 
     ctx.restore();
 }
 
-// Draw a note with stem (supports different note types)
-function drawNote(ctx, x, y, isSharp, isActive, isCompleted, staffMiddleY, score = null, noteType = NOTE_TYPES.QUARTER, dotted = false) {
-    ctx.save();
-
-    // Determine colors
-    let noteColor;
-    if (score !== null) {
-        // Color based on performance score
-        if (score >= 70) {
-            noteColor = '#6bcb77'; // Green - good
-        } else if (score >= 40) {
-            noteColor = '#ffd93d'; // Yellow - okay
-        } else {
-            noteColor = '#ff6b6b'; // Red - poor
-        }
-    } else if (isActive) {
-        noteColor = '#4ecdc4'; // Cyan - current
-    } else if (isCompleted) {
-        noteColor = '#6bcb77'; // Green - completed
-    } else {
-        noteColor = '#bbb'; // Gray - upcoming
+// Get the index of the note whose syllable is being sung at a sequence index
+// (notes without a syllable continue the previous one as a melisma, until a rest)
+function getSyllableIndex(sequence, index) {
+    for (let i = index; i >= 0; i--) {
+        if (!sequence[i] || sequence[i].rest) return -1;
+        if (sequence[i].lyric) return i;
     }
-    ctx.fillStyle = noteColor;
-    ctx.strokeStyle = noteColor;
+    return -1;
+}
 
-    // Note head dimensions
-    const noteWidth = 7;
-    const noteHeight = 5;
-    const stemHeight = 30;
-    const stemWidth = 1.5;
+// Draw lyrics under the staff with hyphens and melisma extension lines;
+// the syllable being sung at activeIndex is highlighted
+function drawLyrics(ctx, sequence, notePositions, offsetX, clipLeftEdge, width, activeIndex) {
+    if (!sequence.some(n => n.lyric)) return;
 
-    // Determine if note head should be filled or hollow
-    const isHollow = noteType === NOTE_TYPES.WHOLE || noteType === NOTE_TYPES.HALF;
-    const hasStem = noteType !== NOTE_TYPES.WHOLE;
-    const hasFlag = noteType === NOTE_TYPES.EIGHTH;
+    const y = 138;
+    const activeSyllable = activeIndex >= 0 ? getSyllableIndex(sequence, activeIndex) : -1;
 
-    // Stem direction: down if on or above middle line, up if below
-    const stemDown = y <= staffMiddleY;
+    ctx.save();
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 1;
 
-    // Draw note head
-    ctx.lineWidth = 1.5;
-    ctx.beginPath();
-    if (noteType === NOTE_TYPES.WHOLE) {
-        // Whole note: wider, more horizontal oval
-        ctx.ellipse(x, y, noteWidth + 2, noteHeight, 0, 0, 2 * Math.PI);
-    } else {
-        // Other notes: tilted oval
-        ctx.ellipse(x, y, noteWidth, noteHeight, -0.3, 0, 2 * Math.PI);
-    }
+    sequence.forEach((note, i) => {
+        if (!note.lyric) return;
+        const x = notePositions[i].x + offsetX;
 
-    if (isHollow) {
-        ctx.lineWidth = 2;
-        ctx.stroke();
-    } else {
-        ctx.fill();
-    }
+        // The melisma runs over the following notes that have no syllable of their own
+        let melismaEnd = i;
+        while (melismaEnd + 1 < sequence.length && !sequence[melismaEnd + 1].lyric && !sequence[melismaEnd + 1].rest) {
+            melismaEnd++;
+        }
+        const next = melismaEnd + 1 < sequence.length ? melismaEnd + 1 : -1;
+        const nextX = next !== -1 ? notePositions[next].x + offsetX : x + notePositions[i].spacing;
+        if (nextX < clipLeftEdge || x > width) return;
 
-    // Draw stem
-    if (hasStem) {
-        if (stemDown) {
-            // Stem down (on left side of note)
-            ctx.fillRect(x - noteWidth + 1, y, stemWidth, stemHeight);
+        const color = i === activeSyllable ? '#4ecdc4' : '#aaa';
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
 
-            // Draw flag for eighth note (stem down)
-            if (hasFlag) {
-                ctx.beginPath();
-                ctx.moveTo(x - noteWidth + 1 + stemWidth, y + stemHeight);
-                ctx.quadraticCurveTo(
-                    x - noteWidth + 15, y + stemHeight - 5,
-                    x - noteWidth + 12, y + stemHeight - 15
-                );
-                ctx.lineWidth = 2;
-                ctx.stroke();
-            }
-        } else {
-            // Stem up (on right side of note)
-            ctx.fillRect(x + noteWidth - stemWidth - 1, y - stemHeight, stemWidth, stemHeight);
+        const halfText = ctx.measureText(note.lyric.text).width / 2;
+        if (x - halfText >= clipLeftEdge) {
+            ctx.fillText(note.lyric.text, x, y);
+        }
 
-            // Draw flag for eighth note (stem up)
-            if (hasFlag) {
+        // Hyphen halfway to the next syllable of the same word
+        const continuesWord = note.lyric.syllabic === 'begin' || note.lyric.syllabic === 'middle';
+        if (continuesWord && next !== -1 && sequence[next].lyric) {
+            const hyphenX = (x + halfText + nextX - ctx.measureText(sequence[next].lyric.text).width / 2) / 2;
+            if (hyphenX >= clipLeftEdge) ctx.fillText('-', hyphenX, y);
+        } else if (note.lyric.extend && melismaEnd > i) {
+            // Extension line under the held syllable, to the end of its last note
+            const lineStart = Math.max(clipLeftEdge, x + halfText + 2);
+            const lineEnd = notePositions[melismaEnd].x + offsetX + 5;
+            if (lineEnd > lineStart) {
                 ctx.beginPath();
-                ctx.moveTo(x + noteWidth - 1, y - stemHeight);
-                ctx.quadraticCurveTo(
-                    x + noteWidth + 10, y - stemHeight + 5,
-                    x + noteWidth + 8, y - stemHeight + 15
-                );
-                ctx.lineWidth = 2;
+                ctx.moveTo(lineStart, y + 5);
+                ctx.lineTo(lineEnd, y + 5);
                 ctx.stroke();
             }
         }
-    }
-
-    // Draw dot for dotted notes
-    if (dotted) {
-        ctx.beginPath();
-        ctx.arc(x + noteWidth + 5, y, 2, 0, 2 * Math.PI);
-        ctx.fill();
-    }
-
-    // Draw sharp if needed
-    if (isSharp) {
-        ctx.font = 'bold 14px serif';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText('♯', x - 16, y);
-    }
+    });
 
     ctx.restore();
 }
 
-// Draw ledger lines for notes outside the staff
-function drawLedgerLines(ctx, x, y, staffTop, lineSpacing, clef) {
-    ctx.save();
-    ctx.strokeStyle = '#666';
-    ctx.lineWidth = 1;
-
-    const bottomLine = staffTop + 4 * lineSpacing;
-    const topLine = staffTop;
-
-    // Draw ledger lines below staff
-    if (y > bottomLine + lineSpacing / 2) {
-        for (let ly = bottomLine + lineSpacing; ly <= y + lineSpacing / 2; ly += lineSpacing) {
-            ctx.beginPath();
-            ctx.moveTo(x - 12, ly);
-            ctx.lineTo(x + 12, ly);
-            ctx.stroke();
-        }
+// Get the source tempo (quarter-note BPM) in effect at a sequence index
+function getTempoAtIndex(index) {
+    let tempo = sequenceState.tempoMap[0].tempo;
+    for (const entry of sequenceState.tempoMap) {
+        if (entry.noteIndex > index) break;
+        tempo = entry.tempo;
     }
+    return tempo;
+}
 
-    // Draw ledger lines above staff
-    if (y < topLine - lineSpacing / 2) {
-        for (let ly = topLine - lineSpacing; ly >= y - lineSpacing / 2; ly -= lineSpacing) {
-            ctx.beginPath();
-            ctx.moveTo(x - 12, ly);
-            ctx.lineTo(x + 12, ly);
-            ctx.stroke();
+// Get the number of beats elapsed at a playback time (ms), following tempo and time signature changes
+function getBeatsAtTime(playbackTime) {
+    const sequence = sequenceState.currentSequence;
+    let time = 0;
+    let beats = 0;
+
+    for (let i = 0; i < sequence.length; i++) {
+        const duration = getPlaybackDuration(sequence[i]);
+        const beatInterval = getBeatIntervalAt(i);
+        // Fermata holds and breath gaps are outside the beat, so the count waits through them
+        const noteBeats = sequence[i].breath ? 0 : getAdjustedDuration(sequence[i].duration) / beatInterval;
+        if (playbackTime < time + duration) {
+            return beats + Math.min(noteBeats, (playbackTime - time) / beatInterval);
         }
+        time += duration;
+        beats += noteBeats;
     }
-
-    ctx.restore();
+    return beats;
 }
 
 // Calculate total sequence duration in ms
 function getSequenceTotalDuration() {
-    return sequenceState.currentSequence.reduce((sum, note) => sum + getAdjustedDuration(note.duration), 0);
+    return sequenceState.currentSequence.reduce((sum, note) => sum + getPlaybackDuration(note), 0);
 }
 
 // Get cumulative time up to (but not including) a note index
 function getCumulativeTime(upToIndex) {
     let time = 0;
     for (let i = 0; i < upToIndex && i < sequenceState.currentSequence.length; i++) {
-        time += getAdjustedDuration(sequenceState.currentSequence[i].duration);
+        time += getPlaybackDuration(sequenceState.currentSequence[i]);
     }
     return time;
 }
@@ -1385,13 +4232,13 @@ function getCumulativeTime(upToIndex) {
 // Uses duration-based spacing: longer notes get more horizontal space
 function calculateScrollParameters(sequence, canvasWidth) {
     const leftMargin = 15;
-    const clefWidth = 40;
+    const clefWidth = 40 + getKeySignatureWidth(sequenceState.keySignatures[0].fifths);
     const rightMargin = 15;
     const noteAreaWidth = canvasWidth - leftMargin - clefWidth - rightMargin;
     const minNoteSpacing = 28; // Minimum spacing for the shortest note
 
     // Find minimum duration to use as baseline for spacing
-    const durations = sequence.map(n => getAdjustedDuration(n.duration));
+    const durations = sequence.map(n => getPlaybackDuration(n));
     const minDuration = Math.min(...durations);
     const totalDuration = durations.reduce((sum, d) => sum + d, 0);
 
@@ -1504,18 +4351,24 @@ function getPlaybackProgress(elapsedTime, scrollParams) {
 // =============================================================================
 
 // Convert frequency to Y position on staff
-function frequencyToStaffY(frequency, clef, staffTop, lineSpacing) {
+// The pitch is spelled like the target note when it matches, otherwise as usual in the key,
+// so a trace on an Eb sits on the Eb rather than on D#. Where the staff shows a transposing part's
+// written pitch, the sung pitch is shifted by the target's displayShift to line up with it
+function frequencyToStaffY(frequency, clef, staffTop, lineSpacing, target = null, fifths = 0) {
+    const displayShift = target?.displayShift || 0;
+
     // Convert frequency to note name and octave
-    const midiNote = 12 * Math.log2(frequency / 440) + 69;
-    const noteIndex = Math.round(midiNote) % 12;
-    const octave = Math.floor(Math.round(midiNote) / 12) - 1;
-    const noteName = noteNames[noteIndex];
+    const midiNote = 12 * Math.log2(frequency / 440) + 69 + displayShift;
+    const nearestMidi = Math.round(midiNote);
+    const spelled = target && target.midi === nearestMidi
+        ? { note: target.note, octave: target.octave }
+        : spellMidiNumber(nearestMidi, fifths);
 
     // Get staff position and Y coordinate
-    const staffPos = getStaffPosition(noteName, octave);
+    const staffPos = getStaffPosition(spelled.note, spelled.octave);
 
     // For smooth visualization, interpolate based on actual frequency deviation
-    const exactMidi = 12 * Math.log2(frequency / 440) + 69;
+    const exactMidi = 12 * Math.log2(frequency / 440) + 69 + displayShift;
     const deviation = exactMidi - Math.round(midiNote); // -0.5 to +0.5
 
     const baseY = getYForStaffPosition(staffPos, clef, staffTop, lineSpacing);
@@ -1563,15 +4416,9 @@ function drawSheetMusic(activeIndex = -1, completedUpTo = -1, noteScores = null,
         ctx.stroke();
     }
 
-    // Draw clef
-    if (clef === 'treble') {
-        drawTrebleClef(ctx, leftMargin, staffTop, lineSpacing);
-    } else {
-        drawBassClef(ctx, leftMargin, staffTop, lineSpacing);
-    }
-
-    // Middle line of staff (for stem direction)
-    const staffMiddleY = staffTop + 2 * lineSpacing;
+    // Draw clef and key signature
+    drawClef(ctx, clef, leftMargin, staffTop, lineSpacing);
+    drawKeySignature(ctx, leftMargin + 36, staffTop, lineSpacing, clef, sequenceState.keySignatures[0].fifths);
 
     // Determine if we're in idle mode (not playing, not counting down, not previewing)
     const isIdleMode = playbackTime === -1 && !sequenceState.isPlaying && !sequenceState.isCountingDown && !sequenceState.isPreviewing;
@@ -1595,23 +4442,22 @@ function drawSheetMusic(activeIndex = -1, completedUpTo = -1, noteScores = null,
         // Use pre-calculated position from notePositions (supports variable spacing)
         const x = notePositions[i].x + noteOffsetX - previewScrollOffset - idleScrollOffset;
 
-        // Skip notes that are past the left edge of the staff or off-screen right
-        if (x < clipLeftEdge || x > width + 20) continue;
+        // Skip notes that are entirely past the left edge of the staff or off-screen right
+        if (x + notePositions[i].spacing < clipLeftEdge || x > width + 20) continue;
 
-        const staffPos = getStaffPosition(note.note, note.octave);
-        const y = getYForStaffPosition(staffPos, clef, staffTop, lineSpacing);
-        const isSharp = note.note.includes('#');
         const isActive = i === activeIndex;
         const isCompleted = i < completedUpTo;
         const score = noteScores && noteScores[i] ? noteScores[i].score : null;
 
-        // Draw ledger lines if needed
-        drawLedgerLines(ctx, x, y, staffTop, lineSpacing, clef);
-
-        // Draw the note
-        drawNote(ctx, x, y, isSharp, isActive, isCompleted, staffMiddleY, score, note.noteType || NOTE_TYPES.QUARTER, note.dotted || false);
+        drawSequenceEntry(ctx, note, x, notePositions[i].spacing, clef, staffTop, lineSpacing, clipLeftEdge, isActive, isCompleted, score);
     }
 
+    drawTempoMarks(ctx, notePositions, noteOffsetX - previewScrollOffset - idleScrollOffset, clipLeftEdge, width);
+    drawSectionMarks(ctx, notePositions, noteOffsetX - previewScrollOffset - idleScrollOffset, clipLeftEdge, width, staffTop, lineSpacing);
+    drawKeyChanges(ctx, notePositions, noteOffsetX - previewScrollOffset - idleScrollOffset, clipLeftEdge, width, staffTop, lineSpacing, clef);
+    drawTuplets(ctx, sequence, notePositions, noteOffsetX - previewScrollOffset - idleScrollOffset, clipLeftEdge, width, staffTop, lineSpacing, clef);
+    drawLyrics(ctx, sequence, notePositions, noteOffsetX - previewScrollOffset - idleScrollOffset, clipLeftEdge, width, activeIndex);
+
     // Draw scroll indicators if song is scrollable in idle mode
     if (isIdleMode && hasEllipsis) {
         ctx.fillStyle = 'rgba(136, 136, 136, 0.6)';
@@ -1660,30 +4506,29 @@ function drawSheetMusic(activeIndex = -1, completedUpTo = -1, noteScores = null,
                 ctx.stroke();
             }
 
-            // Redraw clef
-            if (clef === 'treble') {
-                drawTrebleClef(ctx, leftMargin, staffTop, lineSpacing);
-            } else {
-                drawBassClef(ctx, leftMargin, staffTop, lineSpacing);
-            }
+            // Redraw clef and key signature
+            drawClef(ctx, clef, leftMargin, staffTop, lineSpacing);
+            drawKeySignature(ctx, leftMargin + 36, staffTop, lineSpacing, clef, sequenceState.keySignatures[0].fifths);
 
             // Redraw notes with scroll offset
             for (let i = 0; i < sequence.length; i++) {
                 const note = sequence[i];
                 const x = notePositions[i].x - scrollOffset;
-                // Skip notes that are past the left edge of the staff or off-screen right
-                if (x < clipLeftEdge || x > width + 20) continue;
+                // Skip notes that are entirely past the left edge of the staff or off-screen right
+                if (x + notePositions[i].spacing < clipLeftEdge || x > width + 20) continue;
 
-                const staffPos = getStaffPosition(note.note, note.octave);
-                const y = getYForStaffPosition(staffPos, clef, staffTop, lineSpacing);
-                const isSharp = note.note.includes('#');
                 const isActive = i === activeIndex;
                 const isCompleted = i < completedUpTo;
                 const score = noteScores && noteScores[i] ? noteScores[i].score : null;
 
-                drawLedgerLines(ctx, x, y, staffTop, lineSpacing, clef);
-                drawNote(ctx, x, y, isSharp, isActive, isCompleted, staffMiddleY, score, note.noteType || NOTE_TYPES.QUARTER, note.dotted || false);
+                drawSequenceEntry(ctx, note, x, notePositions[i].spacing, clef, staffTop, lineSpacing, clipLeftEdge, isActive, isCompleted, score);
             }
+
+            drawTempoMarks(ctx, notePositions, -scrollOffset, clipLeftEdge, width);
+            drawSectionMarks(ctx, notePositions, -scrollOffset, clipLeftEdge, width, staffTop, lineSpacing);
+            drawKeyChanges(ctx, notePositions, -scrollOffset, clipLeftEdge, width, staffTop, lineSpacing, clef);
+            drawTuplets(ctx, sequence, notePositions, -scrollOffset, clipLeftEdge, width, staffTop, lineSpacing, clef);
+            drawLyrics(ctx, sequence, notePositions, -scrollOffset, clipLeftEdge, width, activeIndex);
         }
 
         // Draw pitch trace (with scroll offset applied)
@@ -1725,13 +4570,17 @@ function drawSheetMusic(activeIndex = -1, completedUpTo = -1, noteScores = null,
                 }
 
                 // Calculate Y positions based on detected frequency
-                const prevY = frequencyToStaffY(prev.frequency, clef, staffTop, lineSpacing);
-                const currY = frequencyToStaffY(curr.frequency, clef, staffTop, lineSpacing);
+                const prevY = frequencyToStaffY(prev.frequency, clef, staffTop, lineSpacing,
+                    sequence[prev.noteIndex], getKeySignatureAt(prev.noteIndex));
+                const currY = frequencyToStaffY(curr.frequency, clef, staffTop, lineSpacing,
+                    sequence[curr.noteIndex], getKeySignatureAt(curr.noteIndex));
 
                 // Color based on cents deviation (use current point's accuracy)
                 const absCents = Math.abs(curr.cents);
                 let traceColor;
-                if (absCents <= 15) {
+                if (curr.cents === null) {
+                    traceColor = '#ff6b6b'; // Red - singing during a rest
+                } else if (absCents <= 15) {
                     traceColor = '#6bcb77'; // Green - very accurate
                 } else if (absCents <= 30) {
                     traceColor = '#a8e6a3'; // Light green - good
@@ -1742,10 +4591,12 @@ function drawSheetMusic(activeIndex = -1, completedUpTo = -1, noteScores = null,
                 }
 
                 ctx.strokeStyle = traceColor;
+                ctx.globalAlpha = getConfidenceAlpha(curr.confidence);
                 ctx.beginPath();
                 ctx.moveTo(prevX, prevY);
                 ctx.lineTo(currX, currY);
                 ctx.stroke();
+                ctx.globalAlpha = 1;
             }
         }
 
@@ -1838,14 +4689,34 @@ function previewSequence() {
         }
 
         const note = notes[index];
-        const adjustedDuration = getAdjustedDuration(note.duration);
+        const adjustedDuration = getPlaybackDuration(note);
         const durationMs = adjustedDuration * 0.9; // Match audio timing
         const durationSec = durationMs / 1000;
 
         // Sync visual to this note starting
         onPreviewNoteStart(index, durationMs);
 
-        playTone(note.frequency, durationSec, () => {
+        // Rests are silent - just wait out their duration
+        if (note.rest) {
+            const timeoutId = setTimeout(() => {
+                index++;
+                playNext();
+            }, durationMs);
+            currentPreviewAudio = { stop: () => clearTimeout(timeoutId) };
+            return;
+        }
+
+        // Staccato notes sound for part of their length, then wait out the rest in silence
+        const soundedSec = durationSec * getSoundedFraction(note);
+        playTone(note.frequency, soundedSec, () => {
+            if (soundedSec < durationSec) {
+                const timeoutId = setTimeout(() => {
+                    index++;
+                    playNext();
+                }, (durationSec - soundedSec) * 1000);
+                currentPreviewAudio = { stop: () => clearTimeout(timeoutId) };
+                return;
+            }
             index++;
             playNext();
         });
@@ -1865,12 +4736,7 @@ async function startSequence() {
         await new Promise(resolve => setTimeout(resolve, 100));
         const ctx = getAudioContext();
 
-        micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        const source = ctx.createMediaStreamSource(micStream);
-
-        analyser = ctx.createAnalyser();
-        analyser.fftSize = 4096;
-        source.connect(analyser);
+        await startPitchInput(ctx);
 
         // Reset state
         sequenceState.currentNoteIndex = 0;
@@ -1878,6 +4744,7 @@ async function startSequence() {
         sequenceState.pitchSamplesForNote = [];
         sequenceState.pitchHistory = [];
         sequenceState.timeOnPitch = 0;
+        sequenceState.timeSinging = 0;
         recentPitches.length = 0;
         userScrollState.offset = 0;
 
@@ -1969,9 +4836,8 @@ function runCountdown() {
 
     const ctx = getAudioContext();
 
-    // Calculate beat interval - since getAdjustedDuration already accounts for time signature,
-    // the beat interval is simply 60000 / tempoBPM (one beat at the user's selected tempo)
-    const beatIntervalMs = 60000 / tempoBPM;
+    // Count in with beats of the opening time signature and tempo
+    const beatIntervalMs = getBeatIntervalAt(0);
 
     const beatIntervalSec = beatIntervalMs / 1000;
     sequenceState.countdownBeatInterval = beatIntervalMs; // Store for use during playback
@@ -2053,7 +4919,8 @@ function runCountdown() {
             sequenceState.sequenceStartTime = performance.now();
             sequenceState.globalPitchTrace = [];
             lastPlaybackBeat = -1; // Reset beat tracker for pulse
-            lastSequenceSampleTime = 0;
+            // Frames from the countdown are not scored
+            takePitchFrames();
             animationId = requestAnimationFrame(analyzeSequence);
             return;
         }
@@ -2139,15 +5006,15 @@ function stopSequence() {
         animationId = null;
     }
 
-    if (micStream) {
-        micStream.getTracks().forEach(track => track.stop());
-        micStream = null;
-    }
+    stopPitchInput();
 
     previewBtn.disabled = false;
     goBtn.textContent = 'Go';
     goBtn.classList.remove('recording');
     sequenceStatus.textContent = '';
+
+    // Back to the opening time signature's beat
+    updateBeatIndicatorStyle();
 }
 
 // Update sheet music to show current/completed state
@@ -2155,25 +5022,97 @@ function updatePreviewNotesState() {
     drawSheetMusic(sequenceState.currentNoteIndex, sequenceState.currentNoteIndex);
 }
 
-// Analyze sequence (main loop during challenge)
-let lastSequenceSampleTime = 0;
-const sequenceSampleInterval = 1000 / 30;
-
 // Track last beat for pulse during playback
 let lastPlaybackBeat = -1;
 
+// Move on to a later note, scoring each note passed
+function advanceToNote(noteIndex) {
+    while (sequenceState.currentNoteIndex < noteIndex) {
+        finalizeCurrentNote();
+        sequenceState.currentNoteIndex++;
+        sequenceState.pitchSamplesForNote = [];
+        sequenceState.pitchHistory = [];
+        sequenceState.timeOnPitch = 0;
+        sequenceState.timeSinging = 0;
+        recentPitches.length = 0;
+        updateBeatIndicatorStyle(sequenceState.currentNoteIndex);
+    }
+}
+
+// Record one pitch frame against the current note
+// playbackTime is when the frame was sung and noteProgress how far through the note that was.
+// Frames below the minimum confidence are traced but leave the score alone.
+function recordPitchFrame(rawPitch, confidence, playbackTime, noteProgress) {
+    const currentNote = sequenceState.currentSequence[sequenceState.currentNoteIndex];
+    const frameInterval = getPitchFrameInterval();
+    const scored = confidence >= parseFloat(minConfidenceSelect.value);
+
+    if (rawPitch === -1 || !isInDetectionWindow(rawPitch)) {
+        sequenceState.pitchHistory.push(null);
+        return;
+    }
+
+    // Rests, and the silent part of a staccato note, have no target pitch to compare against
+    const inSilentPart = !currentNote.rest && noteProgress >= getSoundedFraction(currentNote);
+    const hasTarget = !currentNote.rest && !inSilentPart;
+    const pitch = getSmoothedPitch(rawPitch);
+    const cents = hasTarget ? getCentsDifference(pitch, currentNote.frequency) : null;
+
+    sequenceState.pitchHistory.push(hasTarget ? { cents, confidence } : null);
+
+    // Add to global pitch trace for integrated visualization
+    sequenceState.globalPitchTrace.push({
+        time: playbackTime,
+        frequency: pitch,
+        confidence,
+        noteIndex: sequenceState.currentNoteIndex,
+        cents: cents
+    });
+
+    if (!scored) return;
+    if (currentNote.rest) {
+        // Singing during a rest counts against the rest's score
+        sequenceState.timeSinging += frameInterval;
+    } else if (hasTarget) {
+        // The unfiltered pitch is kept for vibrato analysis, which the median filter flattens
+        const rawCents = getCentsDifference(rawPitch, currentNote.frequency);
+        sequenceState.pitchSamplesForNote.push({ time: playbackTime, cents, rawCents, confidence });
+        if (Math.abs(cents) <= 50) {
+            sequenceState.timeOnPitch += frameInterval;
+        }
+    }
+}
+
+// Analyze sequence (main loop during challenge)
 function analyzeSequence(timestamp) {
     if (!sequenceState.isPlaying) return;
 
     // Use global timing for everything to prevent drift
     const playbackTime = timestamp - sequenceState.sequenceStartTime;
 
+    // Frames reach us a latency after the moment they were sung, so notes are scored (and the
+    // sequence finishes) that much behind the playhead
+    const latency = getPitchLatency();
+    const scoringTime = playbackTime - latency;
+
     // Calculate scroll params and current note from global time (same as playhead)
     const scrollParams = calculateScrollParameters(sequenceState.currentSequence, sheetMusicCanvas.width);
-    const progress = getPlaybackProgress(playbackTime, scrollParams);
+
+    // Score the pitch frames that have arrived, each against the note being sung when it was
+    // captured (a frame for a note that has already been scored came too late, and is dropped)
+    takePitchFrames().forEach(frame => {
+        const frameTime = contextTimeToPerformanceTime(frame.time) - latency - sequenceState.sequenceStartTime;
+        if (frameTime < 0 || frameTime >= scrollParams.totalDuration) return;
+
+        const frameProgress = getPlaybackProgress(frameTime, scrollParams);
+        if (frameProgress.currentNoteIndex < sequenceState.currentNoteIndex) return;
+
+        advanceToNote(frameProgress.currentNoteIndex);
+        recordPitchFrame(getFramePitch(frame), frame.confidence, frameTime, frameProgress.noteProgress);
+    });
 
     // Check if sequence is complete
-    if (playbackTime >= scrollParams.totalDuration) {
+    if (scoringTime >= scrollParams.totalDuration) {
         // Finalize any remaining note
         if (sequenceState.currentNoteIndex < sequenceState.currentSequence.length) {
             finalizeCurrentNote();
@@ -2183,82 +5122,189 @@ function analyzeSequence(timestamp) {
     }
 
     // Detect note advancement based on global time (not per-note timing)
-    const targetNoteIndex = progress.currentNoteIndex;
-    while (sequenceState.currentNoteIndex < targetNoteIndex) {
-        finalizeCurrentNote();
-        sequenceState.currentNoteIndex++;
-        sequenceState.pitchSamplesForNote = [];
-        sequenceState.pitchHistory = [];
-        sequenceState.timeOnPitch = 0;
-        recentPitches.length = 0;
-    }
+    advanceToNote(getPlaybackProgress(scoringTime, scrollParams).currentNoteIndex);
 
-    // Pulse on beats - calculate from total duration to stay in sync with note timing
-    // This prevents drift that can occur with fixed interval calculation
-    const totalBeats = Math.round(scrollParams.totalDuration / sequenceState.countdownBeatInterval);
-    const currentBeat = Math.floor((playbackTime / scrollParams.totalDuration) * totalBeats);
+    // Pulse on beats - calculate from note timing so pulses follow tempo changes without drift
+    const totalBeats = Math.round(getBeatsAtTime(scrollParams.totalDuration));
+    const currentBeat = Math.floor(getBeatsAtTime(playbackTime) + 1e-6);
     if (currentBeat !== lastPlaybackBeat && currentBeat < totalBeats) {
         lastPlaybackBeat = currentBeat;
         triggerBeatPulse();
     }
 
-    // Sample pitch at fixed rate
-    if (timestamp - lastSequenceSampleTime >= sequenceSampleInterval) {
-        lastSequenceSampleTime = timestamp;
+    // Draw integrated visualization on sheet music
+    drawSheetMusic(sequenceState.currentNoteIndex, sequenceState.currentNoteIndex, sequenceState.noteScores, playbackTime);
+
+    animationId = requestAnimationFrame(analyzeSequence);
+}
+
+// Finalize scoring for current note (called when advancing to next note)
+function finalizeCurrentNote() {
+    const currentNote = sequenceState.currentSequence[sequenceState.currentNoteIndex];
+    const adjustedDuration = getPlaybackDuration(currentNote);
+
+    // Breath gaps are not scored (score stays null so they keep their normal color)
+    if (currentNote.breath) {
+        sequenceState.noteScores.push({
+            note: currentNote.name,
+            isRest: true,
+            unscored: true,
+            score: null
+        });
+        return;
+    }
+
+    // Rests are scored separately on how much of them was left silent
+    if (currentNote.rest) {
+        sequenceState.noteScores.push({
+            note: currentNote.name,
+            isRest: true,
+            score: calculateRestScore(sequenceState.timeSinging, adjustedDuration),
+            timeSinging: sequenceState.timeSinging,
+            totalTime: currentNote.duration
+        });
+        return;
+    }
 
-        const currentNote = sequenceState.currentSequence[sequenceState.currentNoteIndex];
-        const buffer = new Float32Array(analyser.fftSize);
-        analyser.getFloatTimeDomainData(buffer);
+    // With vibrato, intonation is judged on the centre the pitch swings around
+    const vibrato = analyzeVibrato(sequenceState.pitchSamplesForNote);
+    let pitchSamples = sequenceState.pitchSamplesForNote;
+    let timeOnPitch = sequenceState.timeOnPitch;
+    if (vibrato) {
+        pitchSamples = getVibratoCentreSamples(pitchSamples, vibrato);
+        timeOnPitch = pitchSamples.filter(s => Math.abs(s.cents) <= 50).length * getPitchFrameInterval();
+    }
 
-        const rawPitch = detectPitch(buffer, audioContext.sampleRate);
+    // Staccato notes are only scored on their sung part
+    const score = calculateNoteScore(
+        pitchSamples,
+        timeOnPitch,
+        adjustedDuration * getSoundedFraction(currentNote)
+    );
 
-        if (rawPitch !== -1 && rawPitch > 80 && rawPitch < 1000) {
-            const pitch = getSmoothedPitch(rawPitch);
-            const cents = getCentsDifference(pitch, currentNote.frequency);
-            sequenceState.pitchSamplesForNote.push(cents);
-            sequenceState.pitchHistory.push(cents);
-
-            // Add to global pitch trace for integrated visualization
-            sequenceState.globalPitchTrace.push({
-                time: playbackTime,
-                frequency: pitch,
-                noteIndex: sequenceState.currentNoteIndex,
-                cents: cents
-            });
+    sequenceState.noteScores.push({
+        note: currentNote.name,
+        score: score,
+        avgCents: pitchSamples.length > 0
+            ? getWeightedAverageCents(pitchSamples)
+            : 100,
+        timeOnPitch: timeOnPitch,
+        totalTime: currentNote.duration,
+        vibrato: vibrato
+    });
+}
 
-            if (Math.abs(cents) <= 50) {
-                sequenceState.timeOnPitch += sequenceSampleInterval;
+// Vibrato analysis
+// A note has vibrato when its pitch swings up and down regularly, at a singer's rate and width
+const VIBRATO_MIN_RATE = 3;          // Hz
+const VIBRATO_MAX_RATE = 9;
+const VIBRATO_MIN_EXTENT = 15;       // cents either side of the centre
+const VIBRATO_MAX_EXTENT = 200;
+const VIBRATO_MIN_REGULARITY = 0.5;
+const VIBRATO_MIN_TURNS = 4;         // peaks and troughs, so at least one and a half cycles
+const VIBRATO_TURN_CENTS = 20;       // Pitch must fall back this far from a peak (or rise from a trough)
+const VIBRATO_GLITCH_CENTS = 200;    // Raw frames this far from the filtered pitch are glitches
+
+// Find the peaks and troughs of a note's raw pitch trace. The swing into the first turn is
+// skipped, as it is usually the singer arriving at the note rather than vibrato
+function findPitchTurns(trace) {
+    const turns = [];
+    if (trace.length === 0) return turns;
+
+    let direction = 0;
+    let low = trace[0];
+    let high = trace[0];
+    let candidate = null;
+    trace.forEach(s => {
+        if (direction === 0) {
+            if (s.rawCents < low.rawCents) low = s;
+            if (s.rawCents > high.rawCents) high = s;
+            if (high.rawCents - low.rawCents >= VIBRATO_TURN_CENTS) {
+                direction = high.time > low.time ? 1 : -1;
+                candidate = direction === 1 ? high : low;
             }
-        } else {
-            sequenceState.pitchHistory.push(null);
+        } else if (direction * (s.rawCents - candidate.rawCents) > 0) {
+            candidate = s;
+        } else if (direction * (candidate.rawCents - s.rawCents) >= VIBRATO_TURN_CENTS) {
+            turns.push(candidate);
+            candidate = s;
+            direction = -direction;
+        }
+    });
+    return turns;
+}
+
+// Spread of values relative to their mean (0 = all the same)
+function getVariation(values) {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+    return mean > 0 ? Math.sqrt(variance) / mean : 0;
+}
+
+// Analyze a note's pitch samples ({time, cents, rawCents, confidence}) for vibrato.
+// Returns {rate (Hz), extent (cents), regularity (0-1), centreLine} or null if there is none.
+// centreLine holds the midpoints between neighbouring turns as {time, cents}
+function analyzeVibrato(pitchSamples) {
+    const trace = pitchSamples.filter(s => Math.abs(s.rawCents - s.cents) <= VIBRATO_GLITCH_CENTS);
+    const turns = findPitchTurns(trace);
+    if (turns.length < VIBRATO_MIN_TURNS) return null;
+
+    const halfPeriods = [];
+    const swings = [];
+    const centreLine = [];
+    for (let i = 1; i < turns.length; i++) {
+        halfPeriods.push(turns[i].time - turns[i - 1].time);
+        swings.push(Math.abs(turns[i].rawCents - turns[i - 1].rawCents));
+        centreLine.push({
+            time: (turns[i].time + turns[i - 1].time) / 2,
+            cents: (turns[i].rawCents + turns[i - 1].rawCents) / 2
+        });
+    }
+
+    const meanHalfPeriod = halfPeriods.reduce((a, b) => a + b, 0) / halfPeriods.length;
+    const rate = 1000 / (2 * meanHalfPeriod);
+    const extent = swings.reduce((a, b) => a + b, 0) / swings.length / 2;
+    const regularity = Math.max(0, 1 - (getVariation(halfPeriods) + getVariation(swings)) / 2);
+
+    if (rate < VIBRATO_MIN_RATE || rate > VIBRATO_MAX_RATE) return null;
+    if (extent < VIBRATO_MIN_EXTENT || extent > VIBRATO_MAX_EXTENT) return null;
+    if (regularity < VIBRATO_MIN_REGULARITY) return null;
+
+    return { rate, extent, regularity, centreLine };
+}
+
+// Get the vibrato centre line at a time, interpolating between its points
+function getVibratoCentre(centreLine, time) {
+    if (time <= centreLine[0].time) return centreLine[0].cents;
+    for (let i = 1; i < centreLine.length; i++) {
+        if (time <= centreLine[i].time) {
+            const a = centreLine[i - 1];
+            const b = centreLine[i];
+            return a.cents + (b.cents - a.cents) * (time - a.time) / (b.time - a.time);
         }
     }
-
-    // Draw integrated visualization on sheet music
-    drawSheetMusic(sequenceState.currentNoteIndex, sequenceState.currentNoteIndex, sequenceState.noteScores, playbackTime);
-
-    animationId = requestAnimationFrame(analyzeSequence);
+    return centreLine[centreLine.length - 1].cents;
 }
 
-// Finalize scoring for current note (called when advancing to next note)
-function finalizeCurrentNote() {
-    const currentNote = sequenceState.currentSequence[sequenceState.currentNoteIndex];
-    const adjustedDuration = getAdjustedDuration(currentNote.duration);
-    const score = calculateNoteScore(
-        sequenceState.pitchSamplesForNote,
-        sequenceState.timeOnPitch,
-        adjustedDuration
-    );
+// Replace the cents of samples within the vibrato's span by its centre line. Samples before the
+// first turn or after the last one (arriving at or leaving the note) keep their own pitch
+function getVibratoCentreSamples(pitchSamples, vibrato) {
+    const { centreLine } = vibrato;
+    const halfPeriod = 500 / vibrato.rate;
+    const start = centreLine[0].time - halfPeriod / 2;
+    const end = centreLine[centreLine.length - 1].time + halfPeriod / 2;
+    return pitchSamples.map(s => (s.time >= start && s.time <= end)
+        ? { ...s, cents: getVibratoCentre(centreLine, s.time) }
+        : s);
+}
 
-    sequenceState.noteScores.push({
-        note: currentNote.name,
-        score: score,
-        avgCents: sequenceState.pitchSamplesForNote.length > 0
-            ? sequenceState.pitchSamplesForNote.reduce((a, b) => a + Math.abs(b), 0) / sequenceState.pitchSamplesForNote.length
-            : 100,
-        timeOnPitch: sequenceState.timeOnPitch,
-        totalTime: currentNote.duration
-    });
+// Average cents deviation of pitch samples ({cents, confidence}), each counting by its confidence
+function getWeightedAverageCents(pitchSamples) {
+    const totalWeight = pitchSamples.reduce((sum, s) => sum + s.confidence, 0);
+    if (totalWeight === 0) {
+        return pitchSamples.reduce((sum, s) => sum + Math.abs(s.cents), 0) / pitchSamples.length;
+    }
+    return pitchSamples.reduce((sum, s) => sum + Math.abs(s.cents) * s.confidence, 0) / totalWeight;
 }
 
 // Calculate score for a single note
@@ -2268,7 +5314,7 @@ function calculateNoteScore(pitchSamples, timeOnPitch, totalTime) {
     }
 
     // Accuracy score (60 points max) - based on average cents deviation (very lenient)
-    const avgCents = pitchSamples.reduce((a, b) => a + Math.abs(b), 0) / pitchSamples.length;
+    const avgCents = getWeightedAverageCents(pitchSamples);
     let accuracyScore;
     if (avgCents <= 25) {
         accuracyScore = 60;
@@ -2291,13 +5337,39 @@ function calculateNoteScore(pitchSamples, timeOnPitch, totalTime) {
     return Math.round(accuracyScore + timeScore);
 }
 
+// Calculate score for a rest (100 = fully silent, 0 = sang through the whole rest)
+function calculateRestScore(timeSinging, totalTime) {
+    const singingRatio = Math.min(1, timeSinging / totalTime);
+    return Math.round((1 - singingRatio) * 100);
+}
+
+// Get the lyric shown next to a note in the results: its syllable (with a hyphen if the word
+// continues), or a dash for notes that hold the previous syllable
+function getLyricLabel(sequence, index) {
+    const lyric = sequence[index].lyric;
+    if (lyric) {
+        const continuesWord = lyric.syllabic === 'begin' || lyric.syllabic === 'middle';
+        return continuesWord ? `${lyric.text}-` : lyric.text;
+    }
+    return getSyllableIndex(sequence, index) !== -1 ? '\u2014' : '';
+}
+
+// Escape text for use in innerHTML
+function escapeHTML(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
 // Finish sequence and show results
 function finishSequence() {
     stopSequence();
 
-    const totalScore = sequenceState.noteScores.reduce((a, b) => a + b.score, 0);
-    const maxScore = sequenceState.noteScores.length * 100;
-    const percentage = Math.round((totalScore / maxScore) * 100);
+    // Overall percentage comes from the notes; rests only subtract a penalty
+    const pitchedScores = sequenceState.noteScores.filter(ns => !ns.isRest);
+    const restScores = sequenceState.noteScores.filter(ns => ns.isRest && !ns.unscored);
+    const totalScore = pitchedScores.reduce((a, b) => a + b.score, 0);
+    const maxScore = pitchedScores.length * 100;
+    const restPenalty = restScores.reduce((sum, rs) => sum + (100 - rs.score) / 100 * REST_PENALTY_POINTS, 0);
+    const percentage = Math.max(0, Math.round((totalScore / maxScore) * 100 - restPenalty));
 
     let grade;
     if (percentage >= 85) grade = 'A';
@@ -2311,10 +5383,18 @@ function finishSequence() {
     resultsPercent.textContent = `${percentage}%`;
 
     resultsBreakdown.innerHTML = sequenceState.noteScores.map((ns, i) => {
+        // Rests are summarized below instead of getting their own row
+        if (ns.isRest) return '';
+
         const scoreClass = ns.score >= 70 ? 'score-high' : ns.score >= 40 ? 'score-mid' : 'score-low';
+        const vibrato = ns.vibrato ? `
+                <span class="breakdown-vibrato" title="Vibrato rate, width either side of the centre pitch, and regularity">
+                    Vibrato ${ns.vibrato.rate.toFixed(1)} Hz &plusmn;${Math.round(ns.vibrato.extent)}&cent; &middot; ${Math.round(ns.vibrato.regularity * 100)}% regular
+                </span>` : '';
         return `
             <div class="breakdown-item">
                 <canvas class="breakdown-mini-staff" data-note-index="${i}" width="105" height="45"></canvas>
+                <span class="breakdown-lyric">${escapeHTML(getLyricLabel(sequenceState.currentSequence, i))}</span>${vibrato}
                 <div class="breakdown-score">
                     <div class="breakdown-bar">
                         <div class="breakdown-fill ${scoreClass}" style="width: ${ns.score}%"></div>
@@ -2325,6 +5405,12 @@ function finishSequence() {
         `;
     }).join('');
 
+    if (restPenalty >= 0.5) {
+        resultsBreakdown.innerHTML += `
+            <div class="breakdown-rest-penalty">Singing during rests: -${Math.round(restPenalty)}%</div>
+        `;
+    }
+
     // Draw mini-staffs for each note
     const miniStaffCanvases = resultsBreakdown.querySelectorAll('.breakdown-mini-staff');
     miniStaffCanvases.forEach(canvas => {
@@ -2446,16 +5532,17 @@ function drawSequenceVisualization(elapsed, totalDuration) {
     let lastValidPoint = null;
     const history = sequenceState.pitchHistory;
 
-    // Calculate expected samples for this note's duration
-    const expectedSamples = Math.ceil((totalDuration / 1000) * samplesPerSecond);
+    // Calculate expected pitch frames for this note's duration
+    const expectedSamples = Math.ceil(totalDuration / getPitchFrameInterval());
 
     for (let i = 0; i < history.length; i++) {
-        const cents = history[i];
-        if (cents === null) {
+        const sample = history[i];
+        if (sample === null) {
             lastValidPoint = null;
             continue;
         }
 
+        const cents = sample.cents;
         // Scale x position to fill the timeline based on note duration
         const x = timelineX + (i / expectedSamples) * timelineWidth;
         const clampedCents = Math.max(-100, Math.min(100, cents));
@@ -2470,10 +5557,12 @@ function drawSequenceVisualization(elapsed, totalDuration) {
         }
 
         if (lastValidPoint) {
+            sequenceCtx.globalAlpha = getConfidenceAlpha(sample.confidence);
             sequenceCtx.beginPath();
             sequenceCtx.moveTo(lastValidPoint.x, lastValidPoint.y);
             sequenceCtx.lineTo(x, y);
             sequenceCtx.stroke();
+            sequenceCtx.globalAlpha = 1;
         }
 
         lastValidPoint = { x, y, cents };
@@ -2531,33 +5620,48 @@ function drawSequenceVisualization(elapsed, totalDuration) {
 modeFreeBtn.addEventListener('click', () => setMode('free'));
 modeSequenceBtn.addEventListener('click', () => setMode('sequence'));
 
-sequenceSelect.addEventListener('change', () => {
+// Show the controls for the selected sequence and load it
+// (score is the selected library score, when the caller has already parsed it)
+function showSelectedSequence(score = null) {
     const isCustom = sequenceSelect.value === 'custom';
+    const isABC = sequenceSelect.value === 'abc';
+    const libraryScore = getLibraryScore(sequenceSelect.value);
     musicxmlImport.style.display = isCustom ? '' : 'none';
-    // Hide part selector when not in custom mode
-    if (!isCustom) {
+    abcImport.style.display = isABC ? '' : 'none';
+    // Hide part selector, repeats option and import report unless they belong to the custom import
+    if (!isCustom || currentScoreSequenceId !== 'custom') {
         musicxmlPartSelector.style.display = 'none';
+        musicxmlRepeatsOption.style.display = 'none';
+        showImportReport();
     }
+    if (isABC && sequences['abc'].hasRepeats) musicxmlRepeatsOption.style.display = '';
 
-    if (!isCustom) {
+    if (libraryScore) {
+        openLibraryScore(libraryScore, score);
+    } else if (!isCustom && !isABC) {
+        setStartNoteForVoice();
         loadSequence(sequenceSelect.value);
     } else {
-        // Clear sheet music if no custom sequence loaded yet
-        if (sequences['custom'].notes.length === 0) {
+        // Clear sheet music if nothing has been imported yet
+        if (sequences[sequenceSelect.value].notes.length === 0) {
             sequenceState.currentSequence = [];
             drawSheetMusic();
         } else {
-            loadSequence('custom');
+            loadSequence(sequenceSelect.value);
         }
     }
-});
+}
+
+sequenceSelect.addEventListener('change', () => showSelectedSequence());
 
 startNoteSelect.addEventListener('change', () => {
     loadSequence(sequenceSelect.value);
+    rememberScoreSettings(sequenceSelect.value);
 });
 
 startOctaveSelect.addEventListener('change', () => {
     loadSequence(sequenceSelect.value);
+    rememberScoreSettings(sequenceSelect.value);
 });
 
 // Tempo control
@@ -2572,6 +5676,22 @@ tempoSlider.addEventListener('input', () => {
     drawSheetMusic();
 });
 
+// Library scores remember the tempo they were last practiced at
+tempoSlider.addEventListener('change', () => {
+    rememberScoreSettings(sequenceSelect.value);
+});
+
+// Fermata holds change note lengths, so spacing changes too
+fermataHoldSelect.addEventListener('change', () => {
+    drawSheetMusic();
+});
+
+// Switching between written and sounding pitch respells the whole staff
+pitchDisplaySelect.addEventListener('change', () => {
+    loadSequence(sequenceSelect.value);
+    rememberScoreSettings(sequenceSelect.value);
+});
+
 // Start beat indicator when user interacts with slider
 tempoSlider.addEventListener('mousedown', startBeatIndicator);
 tempoSlider.addEventListener('touchstart', startBeatIndicator);
@@ -2598,84 +5718,572 @@ retryBtn.addEventListener('click', () => {
 });
 
 // MusicXML file import handler
-// Store parsed MusicXML document for part selection
+// Store parsed MusicXML document (or parsed MIDI file) for part selection
 let currentMusicXMLDoc = null;
+let currentMIDIFile = null;
 let currentMusicXMLFilename = '';
+let currentMusicXMLPartId = null;
+let currentMusicXMLLines = [];
+// Sequence the current file loads into: 'custom', or its entry in the score library
+let currentScoreSequenceId = 'custom';
+
+// Load one part of the current MusicXML file, listing its voices and staves
+// (and selecting lineId among them, if it is one)
+function loadMusicXMLPart(partId, lineId = null) {
+    currentMusicXMLPartId = partId;
+    // MIDI tracks have no voices to choose between
+    currentMusicXMLLines = currentMIDIFile ? [] : getMusicXMLLines(currentMusicXMLDoc, partId);
+
+    musicxmlVoiceSelect.innerHTML = currentMusicXMLLines.map(l =>
+        `<option value="${l.id}">${l.name}</option>`
+    ).join('');
+    if (currentMusicXMLLines.some(l => l.id === lineId)) musicxmlVoiceSelect.value = lineId;
+    musicxmlVoiceGroup.style.display = currentMusicXMLLines.length > 1 ? '' : 'none';
+
+    // The selector row is needed if there is a choice of parts or of voices
+    const hasPartChoice = musicxmlPartGroup.style.display !== 'none';
+    musicxmlPartSelector.style.display = hasPartChoice || currentMusicXMLLines.length > 1 ? '' : 'none';
+
+    loadMusicXMLLine();
+}
+
+// Show an import's errors and warnings in the panel under the status line (hidden if there are none)
+// The panel opens by itself when the import failed, and stays closed for warnings alone
+function showImportReport(issues = []) {
+    importReport.style.display = issues.length > 0 ? '' : 'none';
+    if (issues.length === 0) return;
+
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const warningCount = issues.length - errorCount;
+    const counts = [];
+    if (errorCount > 0) counts.push(`${errorCount} error${errorCount === 1 ? '' : 's'}`);
+    if (warningCount > 0) counts.push(`${warningCount} warning${warningCount === 1 ? '' : 's'}`);
+    importReportSummary.textContent = `Import report: ${counts.join(', ')}`;
+    importReport.open = errorCount > 0;
+
+    importReportList.innerHTML = issues.map(issue => `
+        <li class="${issue.severity}">
+            <span class="import-issue-severity">${issue.severity === 'error' ? 'Error' : 'Warning'}</span>
+            ${issue.measure !== null ? `(measure ${escapeHTML(issue.measure)})` : ''}
+            ${escapeHTML(issue.message)}
+            ${issue.location ? `<code>${escapeHTML(issue.location)}</code>` : ''}
+        </li>
+    `).join('');
+}
+
+// Parse and load the selected voice of the current part
+function loadMusicXMLLine() {
+    const line = currentMusicXMLLines.find(l => l.id === musicxmlVoiceSelect.value) || null;
+    const result = currentMIDIFile
+        ? parseMIDIPart(currentMIDIFile, currentMusicXMLPartId)
+        : parseMusicXMLPart(currentMusicXMLDoc, currentMusicXMLPartId, musicxmlRepeatsCheckbox.checked, line);
+
+    // Only offer the repeats option for scores that have repeats or jumps
+    musicxmlRepeatsOption.style.display = result.hasRepeats ? '' : 'none';
+    showImportReport(result.issues);
+
+    loadCustomSequence(result.notes, currentMusicXMLFilename, result, currentScoreSequenceId);
+}
+
+// Show why a score could not be imported or loaded
+function reportImportError(err) {
+    console.error('MusicXML parse error:', err);
+    sequenceStatus.textContent = `Error: ${err.message}`;
+    showImportReport(err.issues);
+}
 
-musicxmlFile.addEventListener('change', async (e) => {
+// Parse a score file's contents: format is 'musicxml' (data is the XML text) or 'midi' (the file's bytes)
+// Returns {doc, midiFile, parts}, with doc or midiFile null for the other format
+function parseScoreData(format, data) {
+    if (format === 'midi') {
+        const midiFile = parseMIDIFile(data);
+        return { doc: null, midiFile, parts: getMIDIParts(midiFile) };
+    }
+    const { doc, parts } = getMusicXMLParts(data);
+    return { doc, midiFile: null, parts };
+}
+
+// Open a parsed score for practice, loading it into a sequence
+// settings restores what was last used with the score (see rememberScoreSettings); otherwise the
+// first part and voice are loaded, starting on the score's own first note
+function openScore(score, filename, sequenceId, settings = {}) {
+    currentMusicXMLDoc = score.doc;
+    currentMIDIFile = score.midiFile;
+    currentMusicXMLFilename = filename;
+    currentScoreSequenceId = sequenceId;
+    musicxmlPartSelector.style.display = 'none';
+    musicxmlRepeatsOption.style.display = 'none';
+
+    if (settings.expandRepeats !== undefined) musicxmlRepeatsCheckbox.checked = settings.expandRepeats;
+    if (settings.pitchDisplay) pitchDisplaySelect.value = settings.pitchDisplay;
+    if (settings.tempo) {
+        tempoBPM = settings.tempo;
+        tempoSlider.value = tempoBPM;
+        tempoDisplay.textContent = tempoBPM;
+    }
+
+    const parts = score.parts;
+    const partId = parts.some(p => p.id === settings.partId) ? settings.partId : parts[0].id;
+    if (parts.length === 1) {
+        // Single part - load directly
+        musicxmlPartGroup.style.display = 'none';
+    } else {
+        // Multiple parts - show selector
+        musicxmlPartSelect.innerHTML = parts.map(p =>
+            `<option value="${escapeHTML(p.id)}">${escapeHTML(p.name)}</option>`
+        ).join('');
+        musicxmlPartSelect.value = partId;
+        musicxmlPartGroup.style.display = '';
+        musicxmlPartSelector.style.display = '';
+    }
+    loadMusicXMLPart(partId, settings.lineId);
+
+    if (settings.startNote) {
+        startNoteSelect.value = settings.startNote;
+        startOctaveSelect.value = settings.startOctave.toString();
+        loadSequence(sequenceId);
+    }
+}
+
+musicxmlFile.addEventListener('change', (e) => {
     const file = e.target.files[0];
     if (!file) return;
+    importScoreFiles([file]);
+});
 
-    musicxmlFilename.textContent = file.name;
-    currentMusicXMLFilename = file.name;
-    sequenceStatus.textContent = 'Loading...';
-    musicxmlPartSelector.style.display = 'none';
+// Handle part selection
+musicxmlPartSelect.addEventListener('change', () => {
+    if (!currentMusicXMLDoc && !currentMIDIFile) return;
 
+    const partId = musicxmlPartSelect.value;
     try {
-        const text = await file.text();
-        const { doc, parts } = getMusicXMLParts(text);
-        currentMusicXMLDoc = doc;
-
-        if (parts.length === 1) {
-            // Single part - load directly
-            const result = parseMusicXMLPart(doc, parts[0].id);
-            loadCustomSequence(result.notes, file.name, result.timeSignature, result.tempo);
-        } else {
-            // Multiple parts - show selector and auto-load first part
-            musicxmlPartSelect.innerHTML = parts.map(p =>
-                `<option value="${p.id}">${p.name}</option>`
-            ).join('');
-            musicxmlPartSelector.style.display = '';
+        loadMusicXMLPart(partId);
+        rememberScoreSettings(sequenceSelect.value);
+    } catch (err) {
+        reportImportError(err);
+    }
+});
+
+// Handle voice/staff selection
+musicxmlVoiceSelect.addEventListener('change', () => {
+    if ((!currentMusicXMLDoc && !currentMIDIFile) || !currentMusicXMLPartId) return;
+
+    try {
+        loadMusicXMLLine();
+        rememberScoreSettings(sequenceSelect.value);
+    } catch (err) {
+        reportImportError(err);
+    }
+});
 
-            // Auto-load the first part
-            const result = parseMusicXMLPart(doc, parts[0].id);
-            loadCustomSequence(result.notes, file.name, result.timeSignature, result.tempo);
+// Handle practicing with or without repeats
+musicxmlRepeatsCheckbox.addEventListener('change', () => {
+    if (sequenceSelect.value === 'abc') {
+        if (abcInput.value.trim() === '') return;
+        try {
+            loadABCInput();
+        } catch (err) {
+            console.error('ABC parse error:', err);
+            sequenceStatus.textContent = `Error: ${err.message}`;
         }
+        return;
+    }
+    if ((!currentMusicXMLDoc && !currentMIDIFile) || !currentMusicXMLPartId) return;
+
+    try {
+        loadMusicXMLLine();
+        rememberScoreSettings(sequenceSelect.value);
     } catch (err) {
-        console.error('MusicXML parse error:', err);
-        sequenceStatus.textContent = `Error: ${err.message}`;
-        musicxmlFilename.textContent = '';
-        currentMusicXMLDoc = null;
+        reportImportError(err);
     }
 });
 
-// Handle part selection
-musicxmlPartSelect.addEventListener('change', () => {
-    if (!currentMusicXMLDoc) return;
+// =============================================================================
+// SCORE LIBRARY
+// =============================================================================
+// Imported scores are kept in IndexedDB so they survive reloads. Each record holds the file
+// (MusicXML text or MIDI bytes) with its title, composer, parts and the settings last used with
+// it, and is listed as its own entry in the sequence select. Without IndexedDB, imports load
+// into the custom sequence as before.
+
+const LIBRARY_DB_NAME = 'voice-trainer';
+const LIBRARY_DB_VERSION = 1;
+const LIBRARY_STORE = 'scores';
+const LIBRARY_SEQUENCE_PREFIX = 'library:';
+
+// Scores a new library starts with
+const BUNDLED_SCORES = ['ode-to-joy.musicxml', 'jig-test.musicxml', 'waltz-test.musicxml'];
+
+// Files that can be imported (by extension)
+const SCORE_FILE_PATTERN = /\.(xml|musicxml|mxl|midi?)$/i;
+
+const libraryState = {
+    db: null,     // Open database (null until opened, or if IndexedDB is unavailable)
+    scores: []    // Records in the order they were added
+};
+
+const libraryBtn = document.getElementById('library-btn');
+const libraryView = document.getElementById('library-view');
+const libraryList = document.getElementById('library-list');
+
+// Wrap an IndexedDB request in a promise
+function libraryRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Open the library database, resolving to {db, created} (created is true the first time)
+function openLibraryDatabase() {
+    return new Promise((resolve, reject) => {
+        let created = false;
+        const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+        request.onupgradeneeded = (e) => {
+            created = e.oldVersion === 0;
+            request.result.createObjectStore(LIBRARY_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve({ db: request.result, created });
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request against the scores store
+function withLibraryStore(mode, makeRequest) {
+    const store = libraryState.db.transaction(LIBRARY_STORE, mode).objectStore(LIBRARY_STORE);
+    return libraryRequest(makeRequest(store));
+}
+
+// Save a record, giving new records their id
+async function saveLibraryScore(record) {
+    record.id = await withLibraryStore('readwrite', store => store.put(record));
+    return record;
+}
+
+// Get a score's title from <work-title> or <movement-title>, else from its filename
+function getScoreTitle(doc, filename) {
+    const title = doc?.querySelector('work work-title')?.textContent.trim() ||
+        doc?.querySelector('movement-title')?.textContent.trim();
+    return title || filename.replace(/\.[^.]+$/, '');
+}
+
+// Get a score's composer from its identification (empty if not given)
+function getScoreComposer(doc) {
+    return doc?.querySelector('identification creator[type="composer"]')?.textContent.trim() || '';
+}
+
+// Make a library record for a parsed score file
+function createLibraryRecord(format, data, filename, score) {
+    return {
+        format,
+        data,
+        filename,
+        title: getScoreTitle(score.doc, filename),
+        composer: getScoreComposer(score.doc),
+        parts: score.parts,
+        settings: {},
+        added: Date.now()
+    };
+}
+
+// Find the library record behind a sequence select value (null for other sequences)
+function getLibraryScore(sequenceId) {
+    if (!sequenceId.startsWith(LIBRARY_SEQUENCE_PREFIX)) return null;
+    const id = Number(sequenceId.slice(LIBRARY_SEQUENCE_PREFIX.length));
+    return libraryState.scores.find(record => record.id === id) || null;
+}
+
+function getLibrarySequenceId(record) {
+    return `${LIBRARY_SEQUENCE_PREFIX}${record.id}`;
+}
+
+// List the library in the sequence select (after the built-in sequences) and in the library view
+function renderLibrary() {
+    const selected = sequenceSelect.value;
+    sequenceSelect.querySelector('optgroup.library-options')?.remove();
+    if (libraryState.scores.length > 0) {
+        const group = document.createElement('optgroup');
+        group.className = 'library-options';
+        group.label = 'Library';
+        libraryState.scores.forEach(record => {
+            const sequenceId = getLibrarySequenceId(record);
+            if (!sequences[sequenceId]) sequences[sequenceId] = { name: record.title, notes: [] };
+            sequences[sequenceId].name = record.title;
+
+            const option = document.createElement('option');
+            option.value = sequenceId;
+            option.textContent = record.composer ? `${record.title} - ${record.composer}` : record.title;
+            group.appendChild(option);
+        });
+        sequenceSelect.appendChild(group);
+    }
+    sequenceSelect.value = selected;
+
+    if (libraryState.scores.length === 0) {
+        libraryList.innerHTML = '<li class="library-empty">No scores yet</li>';
+        return;
+    }
+    libraryList.innerHTML = libraryState.scores.map(record => {
+        const partCount = `${record.parts.length} part${record.parts.length === 1 ? '' : 's'}`;
+        const details = record.composer ? `${record.composer} \u00B7 ${partCount}` : partCount;
+        return `
+            <li data-id="${record.id}">
+                <input type="text" class="library-title" value="${escapeHTML(record.title)}" aria-label="Title">
+                <span class="library-details">${escapeHTML(details)}</span>
+                <button class="library-delete">Delete</button>
+            </li>
+        `;
+    }).join('');
+}
+
+// Open a library score (parsing it unless already parsed), restoring the settings last used with it
+function openLibraryScore(record, score = null) {
+    try {
+        openScore(score || parseScoreData(record.format, record.data), record.title, getLibrarySequenceId(record), record.settings);
+    } catch (err) {
+        reportImportError(err);
+    }
+}
+
+// Remember the part, voice, repeats, starting note, tempo and pitch display in use with a library score
+function rememberScoreSettings(sequenceId) {
+    const record = getLibraryScore(sequenceId);
+    if (!record || !libraryState.db) return;
+
+    record.settings = {
+        partId: currentMusicXMLPartId,
+        lineId: musicxmlVoiceSelect.value || null,
+        expandRepeats: musicxmlRepeatsCheckbox.checked,
+        startNote: startNoteSelect.value,
+        startOctave: parseInt(startOctaveSelect.value),
+        tempo: tempoBPM,
+        pitchDisplay: pitchDisplaySelect.value
+    };
+    record.lastUsed = Date.now();
+    saveLibraryScore(record).catch(err => console.error('Library save error:', err));
+}
+
+// Import score files (chosen or dropped on the page) into the library, then open the last one
+async function importScoreFiles(files) {
+    let imported = null;
+    for (const file of files) {
+        musicxmlFilename.textContent = file.name;
+        sequenceStatus.textContent = 'Loading...';
+        showImportReport();
+
+        try {
+            const format = /\.midi?$/i.test(file.name) ? 'midi' : 'musicxml';
+            const data = format === 'midi' ? new Uint8Array(await file.arrayBuffer()) : await readMusicXMLFile(file);
+            const score = parseScoreData(format, data);
+            const record = createLibraryRecord(format, data, file.name, score);
+            if (libraryState.db) {
+                await saveLibraryScore(record);
+                libraryState.scores.push(record);
+            }
+            imported = { record, score };
+        } catch (err) {
+            reportImportError(err);
+            musicxmlFilename.textContent = '';
+        }
+    }
+    if (!imported) return;
+
+    if (!sequenceState.isSequenceMode) setMode('sequence');
+    if (imported.record.id === undefined) {
+        // No library to keep it in
+        sequenceSelect.value = 'custom';
+        showSelectedSequence();
+        try {
+            openScore(imported.score, imported.record.filename, 'custom');
+        } catch (err) {
+            reportImportError(err);
+        }
+        return;
+    }
+    renderLibrary();
+    sequenceSelect.value = getLibrarySequenceId(imported.record);
+    showSelectedSequence(imported.score);
+}
+
+// Open the library (seeding a new one with the bundled scores) and list it
+async function initLibrary() {
+    if (typeof indexedDB === 'undefined') return;
+    try {
+        const { db, created } = await openLibraryDatabase();
+        libraryState.db = db;
+        libraryState.scores = await withLibraryStore('readonly', store => store.getAll());
+        if (created) await seedLibrary();
+    } catch (err) {
+        console.error('Library unavailable:', err);
+        libraryState.db = null;
+    }
+    renderLibrary();
+}
+
+// Add the bundled example scores to a new library
+async function seedLibrary() {
+    for (const filename of BUNDLED_SCORES) {
+        try {
+            const response = await fetch(filename);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.text();
+            const record = createLibraryRecord('musicxml', data, filename, parseScoreData('musicxml', data));
+            libraryState.scores.push(await saveLibraryScore(record));
+        } catch (err) {
+            console.warn(`Could not add ${filename} to the library:`, err);
+        }
+    }
+}
+
+// Show or hide the library view
+libraryBtn.addEventListener('click', () => {
+    const show = libraryView.style.display === 'none';
+    libraryView.style.display = show ? '' : 'none';
+    libraryBtn.classList.toggle('active', show);
+});
+
+// Rename a score when its title is edited
+libraryList.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('library-title')) return;
+    const record = libraryState.scores.find(r => r.id === Number(e.target.closest('li').dataset.id));
+    const title = e.target.value.trim();
+    if (!record || !title) {
+        renderLibrary();
+        return;
+    }
+    record.title = title;
+    saveLibraryScore(record).catch(err => console.error('Library save error:', err));
+    renderLibrary();
+});
+
+// Delete a score (after confirming)
+libraryList.addEventListener('click', async (e) => {
+    if (!e.target.classList.contains('library-delete')) return;
+    const record = libraryState.scores.find(r => r.id === Number(e.target.closest('li').dataset.id));
+    if (!record || !confirm(`Delete "${record.title}" from the library?`)) return;
 
-    const partId = musicxmlPartSelect.value;
     try {
-        const result = parseMusicXMLPart(currentMusicXMLDoc, partId);
-        loadCustomSequence(result.notes, currentMusicXMLFilename, result.timeSignature, result.tempo);
+        await withLibraryStore('readwrite', store => store.delete(record.id));
     } catch (err) {
-        console.error('MusicXML parse error:', err);
-        sequenceStatus.textContent = `Error: ${err.message}`;
+        console.error('Library delete error:', err);
+        return;
+    }
+    libraryState.scores = libraryState.scores.filter(r => r !== record);
+    const sequenceId = getLibrarySequenceId(record);
+    delete sequences[sequenceId];
+    const wasSelected = sequenceSelect.value === sequenceId;
+    renderLibrary();
+    if (wasSelected) {
+        sequenceSelect.value = 'custom';
+        showSelectedSequence();
     }
 });
 
-// Helper to load custom sequence
-function loadCustomSequence(notes, filename, timeSignature = null, tempo = 120) {
-    sequences['custom'].notes = notes;
+// Score files dropped anywhere on the page are imported into the library
+document.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    document.body.classList.add('drag-over');
+});
 
-    // Store time signature (default to 4/4 if not provided)
-    sequenceState.timeSignature = timeSignature || { beats: 4, beatType: 4 };
+document.addEventListener('dragleave', (e) => {
+    // Only leaving the window ends the drag (moving between elements has a related target)
+    if (!e.relatedTarget) document.body.classList.remove('drag-over');
+});
+
+document.addEventListener('drop', (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    document.body.classList.remove('drag-over');
+
+    const files = Array.from(e.dataTransfer.files).filter(file => SCORE_FILE_PATTERN.test(file.name));
+    if (files.length === 0) {
+        sequenceStatus.textContent = 'Error: Drop MusicXML (.xml, .musicxml, .mxl) or MIDI (.mid, .midi) files';
+        return;
+    }
+    importScoreFiles(files);
+});
+
+initLibrary();
+
+// Load pasted ABC as the user types (after a short pause, so half-typed notes don't flash errors)
+let abcInputTimer = null;
+
+abcInput.addEventListener('input', () => {
+    clearTimeout(abcInputTimer);
+    abcInputTimer = setTimeout(() => {
+        if (abcInput.value.trim() === '') {
+            sequences['abc'].notes = [];
+            sequences['abc'].hasRepeats = false;
+            musicxmlRepeatsOption.style.display = 'none';
+            sequenceState.currentSequence = [];
+            sequenceStatus.textContent = '';
+            drawSheetMusic();
+            return;
+        }
+
+        try {
+            loadABCInput();
+        } catch (err) {
+            console.error('ABC parse error:', err);
+            sequenceStatus.textContent = `Error: ${err.message}`;
+        }
+    }, 300);
+});
 
-    // Store source tempo (the BPM at which durations were calculated)
-    sequenceState.sourceTempo = tempo;
+// Parse and load the pasted ABC, offering the repeats option if the tune has repeats
+function loadABCInput() {
+    const result = parseABC(abcInput.value, musicxmlRepeatsCheckbox.checked);
+    sequences['abc'].hasRepeats = result.hasRepeats;
+    musicxmlRepeatsOption.style.display = result.hasRepeats ? '' : 'none';
+    loadCustomSequence(result.notes, result.title || 'ABC notation', result, 'abc');
+}
 
-    // Set starting note selector to match the first note of the custom sequence
-    if (notes.length > 0) {
-        const firstNote = notes[0];
-        startNoteSelect.value = firstNote.note;
-        startOctaveSelect.value = firstNote.octave.toString();
+// Helper to load custom sequence
+// score holds the parser's timelines: timeSignatures, tempoMap, keySignatures, transpositions and sectionMarks
+function loadCustomSequence(notes, filename, score = {}, sequenceId = 'custom') {
+    const seq = sequences[sequenceId];
+    seq.notes = notes;
+
+    // Store the timelines with the notes; loadSequence transposes and loads them all together
+    // Key signature timeline (default to C major if not provided)
+    seq.keySignatures = score.keySignatures || [{ noteIndex: 0, fifths: 0 }];
+
+    // Time signature timeline (default to 4/4 if not provided)
+    seq.timeSignatures = score.timeSignatures || [{ noteIndex: 0, beats: 4, beatType: 4 }];
+
+    // Tempo map (the BPMs at which durations were calculated)
+    seq.tempoMap = score.tempoMap || [{ noteIndex: 0, tempo: 120 }];
+
+    // Written-to-sounding intervals of a transposing part (none for concert-pitch parts)
+    seq.transpositions = score.transpositions || [];
+
+    // Repeat barlines and section markers (none for plain note lists)
+    seq.sectionMarks = score.sectionMarks || [];
+
+    // Set starting note selector to match the first note of the custom sequence as it sounds
+    // (the selector only lists sharp names, so flats are matched by pitch)
+    const firstIndex = notes.findIndex(n => !n.rest);
+    if (firstIndex !== -1) {
+        const firstNote = notes[firstIndex];
+        const { chromatic } = getTranspositionAt(seq.transpositions, firstIndex);
+        const start = semitoneToNote(noteToSemitone(firstNote.note, firstNote.octave) + chromatic);
+        startNoteSelect.value = start.note;
+        startOctaveSelect.value = start.octave.toString();
     }
 
-    loadSequence('custom');
+    loadSequence(sequenceId);
 
-    const partName = musicxmlPartSelector.style.display !== 'none'
-        ? ` (${musicxmlPartSelect.options[musicxmlPartSelect.selectedIndex].text})`
-        : '';
-    sequenceStatus.textContent = `Loaded ${notes.length} notes from ${filename}${partName}`;
+    const selectedNames = [];
+    if (musicxmlPartSelector.style.display !== 'none' && musicxmlPartGroup.style.display !== 'none') {
+        selectedNames.push(musicxmlPartSelect.options[musicxmlPartSelect.selectedIndex].text);
+    }
+    if (musicxmlPartSelector.style.display !== 'none' && musicxmlVoiceGroup.style.display !== 'none') {
+        selectedNames.push(musicxmlVoiceSelect.options[musicxmlVoiceSelect.selectedIndex].text);
+    }
+    const partName = selectedNames.length > 0 ? ` (${selectedNames.join(', ')})` : '';
+    const noteCount = notes.filter(n => !n.rest).length;
+    sequenceStatus.textContent = `Loaded ${noteCount} notes from ${filename}${partName}`;
     setTimeout(() => {
         if (sequenceStatus.textContent.startsWith('Loaded')) {
             sequenceStatus.textContent = '';
@@ -2688,6 +6296,186 @@ setTimeout(() => {
     loadSequence(sequenceSelect.value || 'simple-scale');
 }, 100);
 
+// =============================================================================
+// VOICE TYPES
+// The voice type decides which notes the note selectors offer, the pitch window the detector
+// accepts (the range plus a margin for scoops and overshoot), where built-in exercises start, and
+// which clef the staff prefers. A custom voice takes its range and clef from the user.
+// =============================================================================
+
+const VOICE_TYPES = {
+    bass: { low: { note: 'E', octave: 2 }, high: { note: 'E', octave: 4 }, start: { note: 'G', octave: 2 }, clef: 'bass' },
+    baritone: { low: { note: 'G', octave: 2 }, high: { note: 'G', octave: 4 }, start: { note: 'A', octave: 2 }, clef: 'bass' },
+    tenor: { low: { note: 'C', octave: 3 }, high: { note: 'C', octave: 5 }, start: { note: 'D', octave: 3 }, clef: 'treble-8vb' },
+    alto: { low: { note: 'F', octave: 3 }, high: { note: 'F', octave: 5 }, start: { note: 'G', octave: 3 }, clef: 'treble' },
+    mezzo: { low: { note: 'A', octave: 3 }, high: { note: 'A', octave: 5 }, start: { note: 'A', octave: 3 }, clef: 'treble' },
+    soprano: { low: { note: 'C', octave: 4 }, high: { note: 'C', octave: 6 }, start: { note: 'C', octave: 4 }, clef: 'treble' },
+    child: { low: { note: 'A', octave: 3 }, high: { note: 'F', octave: 5 }, start: { note: 'C', octave: 4 }, clef: 'treble' }
+};
+
+// Semitones of headroom either side of the range that the detector still accepts
+const VOICE_DETECTION_MARGIN = 4;
+
+// Custom ranges choose from the natural notes C2 to C6
+const CUSTOM_VOICE_LOWEST = getStaffPosition('C', 2);
+const CUSTOM_VOICE_HIGHEST = getStaffPosition('C', 6);
+
+const VOICE_STORAGE_KEY = 'voice-trainer-voice';
+
+// Current voice: its range, preferred clef (null to choose from the notes) and detection window
+const voiceState = {
+    type: 'custom',
+    low: { note: 'E', octave: 2 },
+    high: { note: 'G', octave: 5 },
+    clef: null,
+    minFrequency: 0,
+    maxFrequency: 0
+};
+
+const voiceTypeSelect = document.getElementById('voice-type');
+const customVoiceOptions = document.getElementById('custom-voice-options');
+const voiceLowSelect = document.getElementById('voice-low');
+const voiceHighSelect = document.getElementById('voice-high');
+const voiceClefSelect = document.getElementById('voice-clef');
+
+// Check whether a detected frequency is inside the voice's detection window
+function isInDetectionWindow(frequency) {
+    return frequency > voiceState.minFrequency && frequency < voiceState.maxFrequency;
+}
+
+// Get where built-in exercises start: the preset's note, or the first C of a custom range
+function getVoiceStart() {
+    const preset = VOICE_TYPES[voiceState.type];
+    if (preset) return preset.start;
+
+    const { low } = voiceState;
+    return { note: 'C', octave: low.note === 'C' ? low.octave : low.octave + 1 };
+}
+
+// Parse a range option value such as 'E2'
+function parseVoiceNote(value) {
+    return { note: value[0], octave: parseInt(value.slice(1)) };
+}
+
+// Fill the custom range selects with natural notes
+function populateCustomVoiceSelects() {
+    [voiceLowSelect, voiceHighSelect].forEach(select => {
+        select.innerHTML = '';
+        for (let pos = CUSTOM_VOICE_LOWEST; pos <= CUSTOM_VOICE_HIGHEST; pos++) {
+            const name = `${'CDEFGAB'[pos % 7]}${Math.floor(pos / 7)}`;
+            select.appendChild(new Option(name, name));
+        }
+    });
+}
+
+// Keep the custom range the right way round by disabling notes past the other end
+function updateCustomVoiceLimits() {
+    const low = parseVoiceNote(voiceLowSelect.value);
+    const high = parseVoiceNote(voiceHighSelect.value);
+    Array.from(voiceLowSelect.options).forEach(option => {
+        const { note, octave } = parseVoiceNote(option.value);
+        option.disabled = getStaffPosition(note, octave) >= getStaffPosition(high.note, high.octave);
+    });
+    Array.from(voiceHighSelect.options).forEach(option => {
+        const { note, octave } = parseVoiceNote(option.value);
+        option.disabled = getStaffPosition(note, octave) <= getStaffPosition(low.note, low.octave);
+    });
+}
+
+// Read the voice settings from the controls into voiceState
+function readVoiceSettings() {
+    const preset = VOICE_TYPES[voiceTypeSelect.value];
+    voiceState.type = preset ? voiceTypeSelect.value : 'custom';
+    voiceState.low = preset ? preset.low : parseVoiceNote(voiceLowSelect.value);
+    voiceState.high = preset ? preset.high : parseVoiceNote(voiceHighSelect.value);
+    voiceState.clef = preset ? preset.clef : (voiceClefSelect.value || null);
+
+    const margin = Math.pow(2, VOICE_DETECTION_MARGIN / 12);
+    voiceState.minFrequency = getFrequency(voiceState.low.note, voiceState.low.octave) / margin;
+    voiceState.maxFrequency = getFrequency(voiceState.high.note, voiceState.high.octave) * margin;
+
+    customVoiceOptions.style.display = preset ? 'none' : '';
+    updateCustomVoiceLimits();
+}
+
+// Remember the voice settings for the next visit
+function saveVoiceSettings() {
+    try {
+        localStorage.setItem(VOICE_STORAGE_KEY, JSON.stringify({
+            type: voiceTypeSelect.value,
+            low: voiceLowSelect.value,
+            high: voiceHighSelect.value,
+            clef: voiceClefSelect.value
+        }));
+    } catch (err) {
+        console.warn('Could not save voice settings:', err);
+    }
+}
+
+// Restore saved voice settings into the controls
+function restoreVoiceSettings() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(VOICE_STORAGE_KEY));
+    } catch (err) {
+        console.warn('Could not read voice settings:', err);
+    }
+
+    voiceLowSelect.value = `${voiceState.low.note}${voiceState.low.octave}`;
+    voiceHighSelect.value = `${voiceState.high.note}${voiceState.high.octave}`;
+    if (!saved) return;
+
+    [[voiceTypeSelect, saved.type], [voiceLowSelect, saved.low], [voiceHighSelect, saved.high], [voiceClefSelect, saved.clef]]
+        .forEach(([select, value]) => {
+            if (Array.from(select.options).some(option => option.value === value)) select.value = value;
+        });
+}
+
+// Move the free practice note into range if the voice can no longer reach it
+function fitFreeNoteToVoice() {
+    if (isNoteInRange(noteSelect.value, parseInt(octaveSelect.value))) return;
+    const start = getVoiceStart();
+    noteSelect.value = start.note;
+    octaveSelect.value = start.octave.toString();
+}
+
+// Start built-in exercises from the voice's default note
+function setStartNoteForVoice() {
+    const start = getVoiceStart();
+    startNoteSelect.value = start.note;
+    startOctaveSelect.value = start.octave.toString();
+}
+
+// Apply a change to the voice settings
+function changeVoiceSettings() {
+    readVoiceSettings();
+    saveVoiceSettings();
+
+    fitFreeNoteToVoice();
+    updateCurrentNote();
+    recentPitches.length = 0;
+
+    if (BUILT_IN_SEQUENCE_IDS.includes(sequenceSelect.value)) {
+        setStartNoteForVoice();
+    }
+    if (sequenceState.currentSequence.length > 0 && !sequenceState.isPlaying && !sequenceState.isCountingDown) {
+        loadSequence(sequenceSelect.value);
+    } else {
+        updateSongPracticeMiniStaff();
+    }
+}
+
+[voiceTypeSelect, voiceLowSelect, voiceHighSelect, voiceClefSelect].forEach(select => {
+    select.addEventListener('change', changeVoiceSettings);
+});
+
+populateCustomVoiceSelects();
+restoreVoiceSettings();
+readVoiceSettings();
+fitFreeNoteToVoice();
+updateCurrentNote();
+setStartNoteForVoice();
+
 // ============================================
 // Note Selector - Visual Grand Staff Selection
 // ============================================
@@ -2725,17 +6513,13 @@ const songOctaveUp = document.getElementById('song-octave-up');
 // Natural notes only (no sharps/flats)
 const naturalNotes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
 
-// Generate note range from E2 to G5 (natural notes only)
+// Generate the voice's note range (natural notes only)
 function getNoteRange() {
     const notes = [];
-    // E2 to G5: natural notes only
-    for (let octave = 2; octave <= 5; octave++) {
+    const { low, high } = voiceState;
+    for (let octave = low.octave; octave <= high.octave; octave++) {
         for (const note of naturalNotes) {
-            // Skip notes before E2
-            if (octave === 2 && naturalNotes.indexOf(note) < naturalNotes.indexOf('E')) continue;
-            // Skip notes after G5
-            if (octave === 5 && naturalNotes.indexOf(note) > naturalNotes.indexOf('G')) continue;
-            notes.push({ note, octave });
+            if (isNoteInRange(note, octave)) notes.push({ note, octave });
         }
     }
     return notes;
@@ -2962,9 +6746,21 @@ function drawBreakdownMiniStaff(canvas, sequence, noteIndex, noteScore) {
 
     // Helper to draw a mini note with stem and dot
     function drawMiniNote(note, x, alpha, scoreValue) {
+        // Breath gaps have nothing to show at this size
+        if (note.breath) return;
+
+        if (note.rest) {
+            ctx.save();
+            ctx.globalAlpha = alpha;
+            drawRest(ctx, x, staffTop, lineSpacing, '#666', note.noteType || NOTE_TYPES.QUARTER, note.dotted || false);
+            ctx.restore();
+            return;
+        }
+
         const pos = getStaffPosition(note.note, note.octave);
         const y = getYForStaffPosition(pos, clef, staffTop, lineSpacing);
-        const isSharp = note.note.includes('#');
+        // No key signature on the mini staff, so every written accidental is shown
+        const { alter } = parseNoteName(note.note);
         const noteType = note.noteType || NOTE_TYPES.QUARTER;
         const dotted = note.dotted || false;
 
@@ -3011,7 +6807,7 @@ function drawBreakdownMiniStaff(canvas, sequence, noteIndex, noteScore) {
         const stemHeight = 16;
         const isHollow = noteType === NOTE_TYPES.WHOLE || noteType === NOTE_TYPES.HALF;
         const hasStem = noteType !== NOTE_TYPES.WHOLE;
-        const hasFlag = noteType === NOTE_TYPES.EIGHTH;
+        const flagCount = getFlagCount(noteType);
         const stemDown = y <= staffMiddleY;
 
         // Draw note head
@@ -3036,11 +6832,12 @@ function drawBreakdownMiniStaff(canvas, sequence, noteIndex, noteScore) {
                 ctx.moveTo(x - noteWidth + 1, y);
                 ctx.lineTo(x - noteWidth + 1, y + stemHeight);
                 ctx.stroke();
-                // Flag for eighth notes
-                if (hasFlag) {
+                // Flags for eighth and shorter notes
+                for (let f = 0; f < flagCount; f++) {
+                    const flagY = y + stemHeight - f * 4;
                     ctx.beginPath();
-                    ctx.moveTo(x - noteWidth + 1, y + stemHeight);
-                    ctx.quadraticCurveTo(x + 2, y + stemHeight - 4, x + 4, y + stemHeight - 10);
+                    ctx.moveTo(x - noteWidth + 1, flagY);
+                    ctx.quadraticCurveTo(x + 2, flagY - 4, x + 4, flagY - 10);
                     ctx.stroke();
                 }
             } else {
@@ -3048,10 +6845,11 @@ function drawBreakdownMiniStaff(canvas, sequence, noteIndex, noteScore) {
                 ctx.moveTo(x + noteWidth - 1, y);
                 ctx.lineTo(x + noteWidth - 1, y - stemHeight);
                 ctx.stroke();
-                if (hasFlag) {
+                for (let f = 0; f < flagCount; f++) {
+                    const flagY = y - stemHeight + f * 4;
                     ctx.beginPath();
-                    ctx.moveTo(x + noteWidth - 1, y - stemHeight);
-                    ctx.quadraticCurveTo(x + 6, y - stemHeight + 4, x + 8, y - stemHeight + 10);
+                    ctx.moveTo(x + noteWidth - 1, flagY);
+                    ctx.quadraticCurveTo(x + 6, flagY + 4, x + 8, flagY + 10);
                     ctx.stroke();
                 }
             }
@@ -3065,11 +6863,11 @@ function drawBreakdownMiniStaff(canvas, sequence, noteIndex, noteScore) {
         }
 
         // Draw accidental
-        if (isSharp) {
+        if (alter !== 0) {
             ctx.font = 'bold 8px serif';
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
-            ctx.fillText('\u266F', x - 7, y);
+            ctx.fillText(getAccidentalSymbol(alter), x - 7, y);
         }
 
         ctx.restore();
@@ -3114,8 +6912,8 @@ function drawBreakdownMiniStaff(canvas, sequence, noteIndex, noteScore) {
             const currTraceX = traceStartX + currProgress * traceWidth;
 
             // Map frequency to Y position
-            const prevY = frequencyToStaffY(prev.frequency, clef, staffTop, lineSpacing);
-            const currY = frequencyToStaffY(curr.frequency, clef, staffTop, lineSpacing);
+            const prevY = frequencyToStaffY(prev.frequency, clef, staffTop, lineSpacing, currentNote, getKeySignatureAt(noteIndex));
+            const currY = frequencyToStaffY(curr.frequency, clef, staffTop, lineSpacing, currentNote, getKeySignatureAt(noteIndex));
 
             // Color based on cents deviation
             const absCents = Math.abs(curr.cents);
@@ -3131,10 +6929,12 @@ function drawBreakdownMiniStaff(canvas, sequence, noteIndex, noteScore) {
             }
 
             ctx.strokeStyle = traceColor;
+            ctx.globalAlpha = getConfidenceAlpha(curr.confidence);
             ctx.beginPath();
             ctx.moveTo(prevTraceX, prevY);
             ctx.lineTo(currTraceX, currY);
             ctx.stroke();
+            ctx.globalAlpha = 1;
         }
     }
 }
@@ -3168,26 +6968,31 @@ function drawSelectableNote(ctx, x, y, isHovered, isSelected) {
     ctx.restore();
 }
 
-// Draw grand staff selector with all notes from E2 to G5
+// Draw grand staff selector with all notes in the voice's range
 function drawGrandStaffSelector() {
     const canvas = grandStaffCanvas;
     const ctx = grandStaffCtx;
     const width = canvas.width;
-    const height = canvas.height;
-
-    // Clear
-    ctx.fillStyle = 'rgba(30, 30, 40, 1)';
-    ctx.fillRect(0, 0, width, height);
+    const noteRange = getNoteRange();
 
-    // Layout - stacked: treble notes on treble staff, bass notes on bass staff
-    const trebleStaffTop = 15;
-    const bassStaffTop = 115;
+    // Layout - stacked: treble notes on treble staff, bass notes on bass staff, with room above
+    // and below for the ledger lines of notes past G5 or E2
     const lineSpacing = 10;
+    const positions = noteRange.map(n => getStaffPosition(n.note, n.octave));
+    const trebleStaffTop = 15 + Math.max(0, Math.max(...positions) - getStaffPosition('G', 5)) * lineSpacing / 2;
+    const bassStaffTop = trebleStaffTop + 100;
     const leftMargin = 5;
     const clefWidth = 45;
 
+    const lowestY = getYForStaffPosition(Math.min(...positions), 'bass', bassStaffTop, lineSpacing);
+    const height = Math.max(200, Math.ceil(lowestY) + 25);
+    if (canvas.height !== height) canvas.height = height;
+
+    // Clear
+    ctx.fillStyle = 'rgba(30, 30, 40, 1)';
+    ctx.fillRect(0, 0, width, height);
+
     // Split notes into treble (C4+) and bass (below C4)
-    const noteRange = getNoteRange();
     const trebleNotes = noteRange.filter(n => getStaffPosition(n.note, n.octave) >= 28);
     const bassNotes = noteRange.filter(n => getStaffPosition(n.note, n.octave) < 28);
 
@@ -3222,7 +7027,7 @@ function drawGrandStaffSelector() {
     // Clear note positions for hit detection
     noteSelectorState.notePositions = [];
 
-    // Draw treble notes (C4 to G5)
+    // Draw treble notes (C4 and up)
     trebleNotes.forEach((noteInfo, i) => {
         const x = clefWidth + i * trebleNoteSpacing + trebleNoteSpacing / 2;
         const staffPos = getStaffPosition(noteInfo.note, noteInfo.octave);
@@ -3252,7 +7057,7 @@ function drawGrandStaffSelector() {
         });
     });
 
-    // Draw bass notes (E2 to B3)
+    // Draw bass notes (below C4)
     bassNotes.forEach((noteInfo, i) => {
         const x = clefWidth + i * bassNoteSpacing + bassNoteSpacing / 2;
         const staffPos = getStaffPosition(noteInfo.note, noteInfo.octave);
@@ -3453,6 +7258,7 @@ function confirmNoteSelection() {
         startNoteSelect.value = dropdownNote;
         startOctaveSelect.value = dropdownOctave.toString();
         loadSequence(sequenceSelect.value);
+        rememberScoreSettings(sequenceSelect.value);
         // Mini-staff will be redrawn by loadSequence -> updateSongPracticeMiniStaff
     }
     closeNoteSelector();
@@ -3592,12 +7398,12 @@ function updateSongPracticeMiniStaff() {
     updateOctaveButtonStates();
 }
 
-// Check if a note/octave is within the valid range (E2 to G5)
+// Check if a note/octave is within the voice's range
 function isNoteInRange(note, octave) {
     const baseNote = getBaseNote(note);
     const staffPos = getStaffPosition(baseNote, octave);
-    const minPos = getStaffPosition('E', 2); // E2
-    const maxPos = getStaffPosition('G', 5); // G5
+    const minPos = getStaffPosition(voiceState.low.note, voiceState.low.octave);
+    const maxPos = getStaffPosition(voiceState.high.note, voiceState.high.octave);
     return staffPos >= minPos && staffPos <= maxPos;
 }
 
@@ -3633,6 +7439,7 @@ function shiftSongOctave(direction) {
     if (isNoteInRange(startNoteSelect.value, newOctave)) {
         startOctaveSelect.value = newOctave.toString();
         loadSequence(sequenceSelect.value);
+        rememberScoreSettings(sequenceSelect.value);
     }
 }
 
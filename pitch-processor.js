@@ -0,0 +1,607 @@
+// Pitch detection worklet
+// Runs on the audio thread, keeping the last frameSize microphone samples. Every hopSize samples it
+// passes that window through the voicing gate and the chosen detector, and posts a frame
+// {time, frequency, confidence, voiced, level, gateLevel, threshold, gateOpen} to the main thread:
+// time is the AudioContext time (in seconds) at the end of the window, frequency is -1 where no
+// pitch was found, and the levels are RMS amplitudes.
+
+// FFT tables (bit-reversed indices and twiddle factors) for each transform size used
+const fftTables = new Map();
+
+function getFFTTables(size) {
+    let tables = fftTables.get(size);
+    if (!tables) {
+        const bits = Math.log2(size);
+        const reversed = new Uint32Array(size);
+        for (let i = 0; i < size; i++) {
+            let r = 0;
+            for (let b = 0; b < bits; b++) {
+                r = (r << 1) | ((i >> b) & 1);
+            }
+            reversed[i] = r;
+        }
+        const cos = new Float64Array(size / 2);
+        const sin = new Float64Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            cos[i] = Math.cos(2 * Math.PI * i / size);
+            sin[i] = Math.sin(2 * Math.PI * i / size);
+        }
+        tables = { reversed, cos, sin };
+        fftTables.set(size, tables);
+    }
+    return tables;
+}
+
+// Working arrays for the analysis, kept per name and size and reused on every frame, so the audio
+// thread doesn't produce a few hundred KB of garbage per hop. An array returned from one of them
+// (the difference function, NSDF or CMNDF) is only valid until that function runs again.
+const scratchBuffers = new Map();
+
+function getScratchBuffer(name, ArrayType, size) {
+    const key = `${name}:${size}`;
+    let buffer = scratchBuffers.get(key);
+    if (!buffer) {
+        buffer = new ArrayType(size);
+        scratchBuffers.set(key, buffer);
+    }
+    return buffer;
+}
+
+// In-place radix-2 FFT of a complex signal (re, im) whose length is a power of two
+// The inverse transform is unscaled (the caller divides by the length)
+function fft(re, im, inverse = false) {
+    const size = re.length;
+    const { reversed, cos, sin } = getFFTTables(size);
+
+    for (let i = 0; i < size; i++) {
+        const j = reversed[i];
+        if (j > i) {
+            let t = re[i]; re[i] = re[j]; re[j] = t;
+            t = im[i]; im[i] = im[j]; im[j] = t;
+        }
+    }
+
+    const direction = inverse ? 1 : -1;
+    for (let half = 1; half < size; half *= 2) {
+        const step = size / (half * 2);
+        for (let start = 0; start < size; start += half * 2) {
+            for (let k = 0; k < half; k++) {
+                const wr = cos[k * step];
+                const wi = direction * sin[k * step];
+                const a = start + k;
+                const b = a + half;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+}
+
+// YIN difference function d(tau) = sum over i < W of (x[i] - x[i + tau])^2, for tau < W = N / 2
+// Expanded as energy(x[0..W)) + energy(x[tau..tau+W)) - 2 * r(tau), where the cross-correlation
+// r(tau) = sum of x[i] * x[i + tau] comes from one FFT of x + i*x[0..W) and one inverse FFT,
+// so the whole function takes O(N log N) instead of O(N^2). N must be a power of two.
+function differenceFunction(buffer, maxSamples) {
+    const size = buffer.length;
+
+    // Transform x (real part) and its first W samples (imaginary part) together
+    const re = getScratchBuffer('difference.re', Float64Array, size);
+    const im = getScratchBuffer('difference.im', Float64Array, size);
+    for (let i = 0; i < size; i++) {
+        re[i] = buffer[i];
+        im[i] = i < maxSamples ? buffer[i] : 0;
+    }
+    fft(re, im);
+
+    // Separate the two spectra and form conj(A) * X, the spectrum of the cross-correlation
+    const productRe = getScratchBuffer('difference.productRe', Float64Array, size);
+    const productIm = getScratchBuffer('difference.productIm', Float64Array, size);
+    for (let k = 0; k < size; k++) {
+        const j = (size - k) % size;
+        const xr = (re[k] + re[j]) / 2;
+        const xi = (im[k] - im[j]) / 2;
+        const ar = (im[k] + im[j]) / 2;
+        const ai = (re[j] - re[k]) / 2;
+        productRe[k] = ar * xr + ai * xi;
+        productIm[k] = ar * xi - ai * xr;
+    }
+    fft(productRe, productIm, true);
+
+    // Energy of the fixed window, and of the lagged window slid along one sample at a time
+    let fixedEnergy = 0;
+    for (let i = 0; i < maxSamples; i++) {
+        fixedEnergy += buffer[i] * buffer[i];
+    }
+    let laggedEnergy = fixedEnergy;
+
+    const diff = getScratchBuffer('difference', Float32Array, maxSamples);
+    for (let tau = 0; tau < maxSamples; tau++) {
+        if (tau > 0) {
+            laggedEnergy += buffer[tau + maxSamples - 1] * buffer[tau + maxSamples - 1] - buffer[tau - 1] * buffer[tau - 1];
+        }
+        const correlation = productRe[tau] / size;
+        diff[tau] = Math.max(0, fixedEnergy + laggedEnergy - 2 * correlation);
+    }
+    return diff;
+}
+
+// Pitch detectors
+// Each factory returns a detector whose detect(buffer, sampleRate, gateOpen) gives {frequency,
+// confidence, voiced}: frequency in Hz (-1 if there is no candidate), confidence from 0 to 1, and
+// whether the frame counts as sung. Confidence is spread over the detector's own voiced range, from
+// 0 at the point where it would give up on the frame to 1 for a perfectly periodic one, so it
+// means roughly the same whichever detector is chosen. Frames the voicing gate shuts out are silence. A detector may
+// keep state from one frame to the next.
+const UNVOICED = Object.freeze({ frequency: -1, confidence: 0, voiced: false });
+
+function getRMS(buffer) {
+    let sum = 0;
+    for (let i = 0; i < buffer.length; i++) {
+        sum += buffer[i] * buffer[i];
+    }
+    return Math.sqrt(sum / buffer.length);
+}
+
+// Cumulative mean normalized difference over lags below half the window
+function cumulativeMeanNormalizedDifference(buffer) {
+    const maxSamples = Math.floor(buffer.length / 2);
+    const diff = differenceFunction(buffer, maxSamples);
+
+    const cmndf = getScratchBuffer('cmndf', Float32Array, maxSamples);
+    cmndf[0] = 1;
+    let runningSum = 0;
+    for (let tau = 1; tau < maxSamples; tau++) {
+        runningSum += diff[tau];
+        cmndf[tau] = diff[tau] / (runningSum / tau);
+    }
+    return cmndf;
+}
+
+// Offset of the vertex of the parabola through (-1, s0), (0, s1), (1, s2), or 0 if it lies too far
+function parabolicOffset(s0, s1, s2) {
+    const adjustment = (s2 - s0) / (2 * (2 * s1 - s2 - s0));
+    return Math.abs(adjustment) < 1 ? adjustment : 0;
+}
+
+// YIN: the first trough of the normalized difference below a fixed threshold
+function createYINDetector() {
+    const threshold = 0.1;
+
+    return {
+        detect(buffer, sampleRate, gateOpen) {
+            if (!gateOpen) return UNVOICED;
+
+            const cmndf = cumulativeMeanNormalizedDifference(buffer);
+            const maxSamples = cmndf.length;
+
+            // Find first minimum below threshold
+            let tau = 2;
+            while (tau < maxSamples - 1 && cmndf[tau] >= threshold) {
+                tau++;
+            }
+            while (tau < maxSamples - 1 && cmndf[tau + 1] < cmndf[tau]) {
+                tau++;
+            }
+            if (tau >= maxSamples - 1 || cmndf[tau] >= threshold) return UNVOICED;
+
+            const period = tau + parabolicOffset(cmndf[tau - 1], cmndf[tau], cmndf[tau + 1]);
+            return { frequency: sampleRate / period, confidence: 1 - cmndf[tau] / threshold, voiced: true };
+        }
+    };
+}
+
+// Normalized square difference n(tau) = 2 r(tau) / m(tau) for lags below maxLag, where r is the
+// autocorrelation and m(tau) the energy of the two overlapping parts x[0..N-tau) and x[tau..N).
+// The autocorrelation comes from the power spectrum of the window zero-padded to twice its length.
+function normalizedSquareDifference(buffer, maxLag) {
+    const size = buffer.length;
+    const paddedSize = size * 2;
+    const re = getScratchBuffer('nsdf.re', Float64Array, paddedSize);
+    const im = getScratchBuffer('nsdf.im', Float64Array, paddedSize);
+    re.set(buffer);
+    re.fill(0, size);
+    im.fill(0);
+    fft(re, im);
+    for (let k = 0; k < paddedSize; k++) {
+        re[k] = re[k] * re[k] + im[k] * im[k];
+        im[k] = 0;
+    }
+    fft(re, im, true);
+
+    let energy = 0;
+    for (let i = 0; i < size; i++) {
+        energy += buffer[i] * buffer[i];
+    }
+
+    // m(tau) loses one sample from each end of the window per lag
+    let m = 2 * energy;
+    const nsdf = getScratchBuffer('nsdf', Float32Array, maxLag);
+    for (let tau = 0; tau < maxLag; tau++) {
+        if (tau > 0) {
+            m -= buffer[tau - 1] * buffer[tau - 1] + buffer[size - tau] * buffer[size - tau];
+        }
+        nsdf[tau] = m > 0 ? 2 * (re[tau] / paddedSize) / m : 0;
+    }
+    return nsdf;
+}
+
+// McLeod Pitch Method: after the first negative zero crossing of the NSDF, take the highest point
+// of each positive region (the key maxima), and pick the first one within 0.9 of the highest.
+// Its height, the clarity, is the confidence.
+function createMPMDetector() {
+    const cutoff = 0.9;
+    const voicingThreshold = 0.5;
+
+    return {
+        detect(buffer, sampleRate, gateOpen) {
+            if (!gateOpen) return UNVOICED;
+
+            const maxLag = Math.floor(buffer.length / 2);
+            const nsdf = normalizedSquareDifference(buffer, maxLag);
+
+            const keyMaxima = [];
+            let tau = 1;
+            while (tau < maxLag - 1 && nsdf[tau] > 0) {
+                tau++;
+            }
+            while (tau < maxLag - 1) {
+                while (tau < maxLag - 1 && nsdf[tau] <= 0) {
+                    tau++;
+                }
+                let best = -1;
+                while (tau < maxLag - 1 && nsdf[tau] > 0) {
+                    if (best < 0 || nsdf[tau] > nsdf[best]) best = tau;
+                    tau++;
+                }
+                if (best > 0) keyMaxima.push(best);
+            }
+            if (keyMaxima.length === 0) return UNVOICED;
+
+            const highest = Math.max(...keyMaxima.map(t => nsdf[t]));
+            const peak = keyMaxima.find(t => nsdf[t] >= cutoff * highest);
+            const period = peak + parabolicOffset(nsdf[peak - 1], nsdf[peak], nsdf[peak + 1]);
+            const clarity = Math.min(1, nsdf[peak]);
+            const confidence = Math.max(0, (clarity - voicingThreshold) / (1 - voicingThreshold));
+
+            return { frequency: sampleRate / period, confidence, voiced: clarity >= voicingThreshold };
+        }
+    };
+}
+
+// pYIN thresholds from 0.01 to 1 with Beta(2, 18) prior weights, most of them near 0.1
+const PYIN_THRESHOLDS = Array.from({ length: 100 }, (_, i) => (i + 1) / 100);
+const PYIN_THRESHOLD_WEIGHTS = (() => {
+    const weights = PYIN_THRESHOLDS.map(s => s * Math.pow(1 - s, 17));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return weights.map(w => w / total);
+})();
+
+// pYIN pitch states: 20-cent bins from A1 to A6, each either voiced or unvoiced
+const PYIN_MIN_FREQUENCY = 55;
+const PYIN_BIN_CENTS = 20;
+const PYIN_BINS = 5 * 1200 / PYIN_BIN_CENTS + 1;
+const PYIN_MAX_STEP = 25;           // Bins the pitch may move between frames
+const PYIN_VOICING_SWITCH = 0.01;   // Chance of switching between voiced and unvoiced per frame
+const PYIN_JUMP = 1e-4;             // Chance of jumping anywhere, so leaps beyond the step recover
+
+// Triangular pitch transition weights for a move of -PYIN_MAX_STEP..PYIN_MAX_STEP bins
+const PYIN_STEP_WEIGHTS = (() => {
+    const weights = Array.from({ length: 2 * PYIN_MAX_STEP + 1 }, (_, i) => PYIN_MAX_STEP + 1 - Math.abs(i - PYIN_MAX_STEP));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return weights.map(w => w / total);
+})();
+
+// Pitch candidates {frequency, probability}: each threshold votes, with its prior weight, for the
+// first trough below it. Thresholds that no trough reaches give a small share to the lowest trough.
+function getPYINCandidates(cmndf, sampleRate) {
+    const troughs = [];
+    for (let tau = 2; tau < cmndf.length - 1; tau++) {
+        if (cmndf[tau] < cmndf[tau - 1] && cmndf[tau] <= cmndf[tau + 1]) troughs.push(tau);
+    }
+    if (troughs.length === 0) return [];
+
+    const lowest = troughs.reduce((best, tau) => cmndf[tau] < cmndf[best] ? tau : best);
+    const probabilities = new Map();
+    PYIN_THRESHOLDS.forEach((threshold, i) => {
+        const tau = troughs.find(t => cmndf[t] < threshold);
+        const share = tau !== undefined ? PYIN_THRESHOLD_WEIGHTS[i] : 0.01 * PYIN_THRESHOLD_WEIGHTS[i];
+        const key = tau !== undefined ? tau : lowest;
+        probabilities.set(key, (probabilities.get(key) || 0) + share);
+    });
+
+    return [...probabilities].map(([tau, probability]) => ({
+        frequency: sampleRate / (tau + parabolicOffset(cmndf[tau - 1], cmndf[tau], cmndf[tau + 1])),
+        probability
+    }));
+}
+
+function getPYINBin(frequency) {
+    return Math.round(1200 * Math.log2(frequency / PYIN_MIN_FREQUENCY) / PYIN_BIN_CENTS);
+}
+
+// Probabilistic YIN (Mauch and Dixon): candidates from many YIN thresholds, then a hidden Markov
+// model over pitch bins tracks which state is most likely. Pitch may only move a few bins between
+// frames, which smooths out octave errors, and voicing follows the history rather than one frame.
+// Runs online, filtering forward one frame at a time.
+function createPYINDetector() {
+    // Probability of each voiced and unvoiced state given the frames so far
+    let voicedProbs = new Float64Array(PYIN_BINS).fill(0.5 / PYIN_BINS);
+    let unvoicedProbs = new Float64Array(PYIN_BINS).fill(0.5 / PYIN_BINS);
+
+    // Move probability through the pitch transitions
+    function predict(probs) {
+        const predicted = new Float64Array(PYIN_BINS);
+        let total = 0;
+        for (let from = 0; from < PYIN_BINS; from++) {
+            const p = probs[from];
+            total += p;
+            if (p === 0) continue;
+            const first = Math.max(0, from - PYIN_MAX_STEP);
+            const last = Math.min(PYIN_BINS - 1, from + PYIN_MAX_STEP);
+            for (let to = first; to <= last; to++) {
+                predicted[to] += p * PYIN_STEP_WEIGHTS[to - from + PYIN_MAX_STEP];
+            }
+        }
+        for (let i = 0; i < PYIN_BINS; i++) {
+            predicted[i] = (1 - PYIN_JUMP) * predicted[i] + PYIN_JUMP * total / PYIN_BINS;
+        }
+        return predicted;
+    }
+
+    return {
+        detect(buffer, sampleRate, gateOpen) {
+            const candidates = gateOpen ? getPYINCandidates(cumulativeMeanNormalizedDifference(buffer), sampleRate) : [];
+
+            // Observation: voiced states in the bin of a candidate score its probability, and
+            // unvoiced states share whatever probability the candidates leave
+            const observed = new Float64Array(PYIN_BINS);
+            let candidateTotal = 0;
+            candidates.forEach(c => {
+                const bin = getPYINBin(c.frequency);
+                if (bin < 0 || bin >= PYIN_BINS) return;
+                observed[bin] += c.probability;
+                candidateTotal += c.probability;
+            });
+            const unvoicedObserved = Math.max(0, 1 - candidateTotal) / PYIN_BINS;
+
+            // Voicing transitions, then pitch transitions
+            const toVoiced = new Float64Array(PYIN_BINS);
+            const toUnvoiced = new Float64Array(PYIN_BINS);
+            for (let i = 0; i < PYIN_BINS; i++) {
+                toVoiced[i] = voicedProbs[i] * (1 - PYIN_VOICING_SWITCH) + unvoicedProbs[i] * PYIN_VOICING_SWITCH;
+                toUnvoiced[i] = unvoicedProbs[i] * (1 - PYIN_VOICING_SWITCH) + voicedProbs[i] * PYIN_VOICING_SWITCH;
+            }
+            const nextVoiced = predict(toVoiced);
+            const nextUnvoiced = predict(toUnvoiced);
+
+            let total = 0;
+            for (let i = 0; i < PYIN_BINS; i++) {
+                nextVoiced[i] *= observed[i];
+                nextUnvoiced[i] *= unvoicedObserved;
+                total += nextVoiced[i] + nextUnvoiced[i];
+            }
+            if (total <= 0) {
+                nextVoiced.fill(0.5 / PYIN_BINS);
+                nextUnvoiced.fill(0.5 / PYIN_BINS);
+                total = 1;
+            }
+
+            let voicedProbability = 0;
+            let bestBin = 0;
+            for (let i = 0; i < PYIN_BINS; i++) {
+                nextVoiced[i] /= total;
+                nextUnvoiced[i] /= total;
+                voicedProbability += nextVoiced[i];
+                if (nextVoiced[i] > nextVoiced[bestBin]) bestBin = i;
+            }
+            voicedProbs = nextVoiced;
+            unvoicedProbs = nextUnvoiced;
+
+            if (candidates.length === 0) return UNVOICED;
+
+            // Report the candidate nearest the most likely voiced bin
+            const best = candidates.reduce((a, b) =>
+                Math.abs(getPYINBin(a.frequency) - bestBin) <= Math.abs(getPYINBin(b.frequency) - bestBin) ? a : b);
+            const confidence = Math.max(0, (voicedProbability - 0.5) / 0.5);
+            return { frequency: best.frequency, confidence, voiced: voicedProbability > 0.5 };
+        }
+    };
+}
+
+const PITCH_DETECTORS = {
+    yin: createYINDetector,
+    mpm: createMPMDetector,
+    pyin: createPYINDetector
+};
+
+function createPitchDetector(name) {
+    return (PITCH_DETECTORS[name] || PITCH_DETECTORS.yin)();
+}
+
+// Voicing gate
+// Without calibration the gate compares the window's RMS with a fixed threshold. Calibration
+// listens to a few seconds of room tone: the first half gives the average noise power spectrum,
+// and the second half the noise floor, the level left once power up to twice that spectrum is
+// removed. From then on the gate measures that same noise-removed level, so steady noise such as
+// fans barely registers, and opens a fixed ratio above the floor. It closes again only below half
+// its threshold, so notes near it don't flicker. While the gate is closed the noise spectrum and
+// floor keep slowly following the room.
+const GATE_DEFAULT_THRESHOLD = 0.005;
+const GATE_MIN_THRESHOLD = 0.0005;  // Even a silent room needs some signal
+const GATE_FLOOR_RATIO = 4;         // Open threshold relative to the noise floor (12 dB)
+const GATE_HYSTERESIS = 0.5;        // Close threshold relative to the open threshold (-6 dB)
+const NOISE_OVERSUBTRACTION = 2;
+const NOISE_ADAPT_RATE = 0.01;      // Share of each gated frame blended into the noise estimates
+
+function createVoicingGate(frameSize, noiseProfile = null) {
+    // Hann window, and the scale that turns summed spectral power back into mean square amplitude
+    const hann = new Float64Array(frameSize);
+    let windowEnergy = 0;
+    for (let i = 0; i < frameSize; i++) {
+        hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / frameSize);
+        windowEnergy += hann[i] * hann[i];
+    }
+    const powerScale = frameSize * windowEnergy;
+
+    const re = new Float64Array(frameSize);
+    const im = new Float64Array(frameSize);
+    const spectrum = new Float64Array(frameSize);
+
+    // Noise power spectrum and floor, once calibrated
+    let noise = noiseProfile ? Float64Array.from(noiseProfile.spectrum) : null;
+    let floor = noiseProfile ? noiseProfile.floor : 0;
+    let calibration = null;
+    let open = false;
+
+    function measureSpectrum(buffer) {
+        for (let i = 0; i < frameSize; i++) {
+            re[i] = buffer[i] * hann[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+        for (let k = 0; k < frameSize; k++) {
+            spectrum[k] = re[k] * re[k] + im[k] * im[k];
+        }
+    }
+
+    // RMS of the power above the noise spectrum
+    function getDenoisedLevel() {
+        let excess = 0;
+        for (let k = 0; k < frameSize; k++) {
+            excess += Math.max(0, spectrum[k] - NOISE_OVERSUBTRACTION * noise[k]);
+        }
+        return Math.sqrt(excess / powerScale);
+    }
+
+    function getThreshold() {
+        return noise ? Math.max(GATE_MIN_THRESHOLD, floor * GATE_FLOOR_RATIO) : GATE_DEFAULT_THRESHOLD;
+    }
+
+    // Follow the calibration through its two halves; returns the profile when it finishes
+    function calibrate() {
+        if (calibration.spectrumFrames > 0) {
+            calibration.spectrumSum.forEach((p, k) => { calibration.spectrumSum[k] = p + spectrum[k]; });
+            if (--calibration.spectrumFrames === 0) {
+                noise = calibration.spectrumSum.map(p => p / calibration.spectrumCount);
+                floor = 0;
+            }
+            return null;
+        }
+
+        calibration.floorSum += getDenoisedLevel();
+        if (--calibration.floorFrames > 0) return null;
+
+        floor = calibration.floorSum / calibration.floorCount;
+        calibration = null;
+        const noiseLevel = Math.sqrt(noise.reduce((sum, p) => sum + p, 0) / powerScale);
+        return { spectrum: noise.slice(), floor, noiseLevel, threshold: getThreshold() };
+    }
+
+    return {
+        // Listen to room tone over the next frames (the gate stays shut meanwhile)
+        calibrate(frames) {
+            const spectrumFrames = Math.max(1, Math.floor(frames / 2));
+            const floorFrames = Math.max(1, frames - spectrumFrames);
+            calibration = {
+                spectrumFrames, spectrumCount: spectrumFrames, spectrumSum: new Float64Array(frameSize),
+                floorFrames, floorCount: floorFrames, floorSum: 0
+            };
+            noise = null;
+        },
+
+        // Gate a window. Returns {level, gateLevel, threshold, open}, plus the finished calibration
+        // {spectrum, floor, noiseLevel, threshold} on the frame that completes one.
+        process(buffer) {
+            const level = getRMS(buffer);
+            if (noise || calibration) measureSpectrum(buffer);
+
+            if (calibration) {
+                open = false;
+                const result = calibrate();
+                return { level, gateLevel: level, threshold: getThreshold(), open, calibration: result };
+            }
+
+            const gateLevel = noise ? getDenoisedLevel() : level;
+            const threshold = getThreshold();
+            open = gateLevel >= (open ? threshold * GATE_HYSTERESIS : threshold);
+
+            if (noise && !open) {
+                for (let k = 0; k < frameSize; k++) {
+                    noise[k] += NOISE_ADAPT_RATE * (spectrum[k] - noise[k]);
+                }
+                floor += NOISE_ADAPT_RATE * (gateLevel - floor);
+            }
+            return { level, gateLevel, threshold, open };
+        }
+    };
+}
+
+class PitchProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { frameSize = 4096, hopSize = 1024, detector = 'yin', noiseProfile = null } = options.processorOptions || {};
+        this.detector = createPitchDetector(detector);
+        this.gate = createVoicingGate(frameSize, noiseProfile);
+
+        // The main thread switches detectors with {type: 'detector', detector}, and starts a noise
+        // calibration over a number of frames with {type: 'calibrate', frames}
+        this.port.onmessage = (e) => {
+            if (e.data.type === 'detector') this.detector = createPitchDetector(e.data.detector);
+            if (e.data.type === 'calibrate') this.gate.calibrate(e.data.frames);
+        };
+
+        // Ring buffer of the latest samples, and the same samples in order for analysis
+        this.ring = new Float32Array(frameSize);
+        this.frame = new Float32Array(frameSize);
+        this.writeIndex = 0;
+        this.filled = 0;
+
+        this.hopSize = hopSize;
+        this.sinceLastFrame = 0;
+    }
+
+    process(inputs) {
+        // No input until the microphone is connected
+        const channel = inputs[0] && inputs[0][0];
+        if (!channel) return true;
+
+        const size = this.ring.length;
+        for (let i = 0; i < channel.length; i++) {
+            this.ring[this.writeIndex] = channel[i];
+            this.writeIndex = (this.writeIndex + 1) % size;
+            if (this.filled < size) this.filled++;
+
+            this.sinceLastFrame++;
+            if (this.sinceLastFrame >= this.hopSize && this.filled === size) {
+                this.sinceLastFrame = 0;
+                this.postFrame(currentTime + (i + 1) / sampleRate);
+            }
+        }
+        return true;
+    }
+
+    // Gate and detect the pitch of the window ending now and post it (and any finished
+    // calibration, as {type: 'calibration', spectrum, floor, noiseLevel, threshold})
+    postFrame(time) {
+        const size = this.ring.length;
+        this.frame.set(this.ring.subarray(this.writeIndex), 0);
+        this.frame.set(this.ring.subarray(0, this.writeIndex), size - this.writeIndex);
+
+        const gate = this.gate.process(this.frame);
+        if (gate.calibration) {
+            this.port.postMessage({ type: 'calibration', ...gate.calibration });
+        }
+
+        const { frequency, confidence, voiced } = this.detector.detect(this.frame, sampleRate, gate.open);
+        this.port.postMessage({
+            time, frequency, confidence, voiced,
+            level: gate.level, gateLevel: gate.gateLevel, threshold: gate.threshold, gateOpen: gate.open
+        });
+    }
+}
+
+registerProcessor('pitch-processor', PitchProcessor);
@@ -0,0 +1,41 @@
+// Times the FFT difference function in pitch-processor.js against the direct O(N^2) one
+// Usage: npm run bench
+const { loadPitchProcessor, directDifferenceFunction, SIGNALS } = require('./load-pitch-processor');
+
+const SAMPLE_RATE = 44100;
+const FRAME_SIZES = [1024, 2048, 4096];
+const ROUNDS = 20;
+const WARMUP_ROUNDS = 10;  // Lets the JIT compile both functions before timing
+
+function timePerFrame(differenceFunction, buffer) {
+    const maxSamples = buffer.length / 2;
+    for (let i = 0; i < WARMUP_ROUNDS; i++) {
+        differenceFunction(buffer, maxSamples);
+    }
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < ROUNDS; i++) {
+        differenceFunction(buffer, maxSamples);
+    }
+    return Number(process.hrtime.bigint() - start) / 1e6 / ROUNDS;
+}
+
+const worklet = loadPitchProcessor(SAMPLE_RATE);
+
+// Run every size once before timing, so no row pays for FFT tables or recompilation
+FRAME_SIZES.forEach(frameSize => {
+    const buffer = SIGNALS.sine(220, SAMPLE_RATE, frameSize);
+    for (let i = 0; i < WARMUP_ROUNDS; i++) {
+        worklet.differenceFunction(buffer, frameSize / 2);
+        directDifferenceFunction(buffer, frameSize / 2);
+    }
+});
+
+console.log('signal    frame   direct ms    FFT ms   speedup');
+for (const [name, makeSignal] of Object.entries(SIGNALS)) {
+    for (const frameSize of FRAME_SIZES) {
+        const buffer = makeSignal(220, SAMPLE_RATE, frameSize);
+        const direct = timePerFrame(directDifferenceFunction, buffer);
+        const fast = timePerFrame(worklet.differenceFunction, buffer);
+        console.log(`${name.padEnd(9)} ${String(frameSize).padStart(5)} ${direct.toFixed(3).padStart(11)} ${fast.toFixed(3).padStart(9)} ${(direct / fast).toFixed(1).padStart(8)}x`);
+    }
+}
@@ -0,0 +1,45 @@
+// Checks the FFT difference function in pitch-processor.js against the direct definition
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPitchProcessor, directDifferenceFunction, SIGNALS } = require('./load-pitch-processor');
+
+const SAMPLE_RATE = 44100;
+const FRAME_SIZE = 4096;
+const FREQUENCIES = [82.41, 110, 196, 261.63, 440, 659.26, 1000];
+
+for (const [name, makeSignal] of Object.entries(SIGNALS)) {
+    test(`FFT difference function matches the direct one on ${name} signals`, () => {
+        const worklet = loadPitchProcessor(SAMPLE_RATE);
+        for (const frequency of FREQUENCIES) {
+            const buffer = makeSignal(frequency, SAMPLE_RATE, FRAME_SIZE);
+            const maxSamples = FRAME_SIZE / 2;
+            const fast = worklet.differenceFunction(buffer, maxSamples);
+            const direct = directDifferenceFunction(buffer, maxSamples);
+
+            // Both are stored as float32, so compare relative to the window energy
+            const tolerance = 1e-5 * Math.max(...direct);
+            for (let tau = 0; tau < maxSamples; tau++) {
+                assert.ok(Math.abs(fast[tau] - direct[tau]) <= tolerance,
+                    `${frequency} Hz, lag ${tau}: ${fast[tau]} vs ${direct[tau]}`);
+            }
+        }
+    });
+
+    test(`YIN detects the same pitch with either difference function on ${name} signals`, () => {
+        const fastWorklet = loadPitchProcessor(SAMPLE_RATE);
+        const directWorklet = loadPitchProcessor(SAMPLE_RATE);
+        directWorklet.differenceFunction = directDifferenceFunction;
+
+        for (const frequency of FREQUENCIES) {
+            const buffer = makeSignal(frequency, SAMPLE_RATE, FRAME_SIZE);
+            const fast = fastWorklet.createPitchDetector('yin').detect(buffer, SAMPLE_RATE, true);
+            const direct = directWorklet.createPitchDetector('yin').detect(buffer, SAMPLE_RATE, true);
+
+            assert.strictEqual(fast.voiced, direct.voiced, `${frequency} Hz voicing`);
+            const cents = Math.abs(1200 * Math.log2(fast.frequency / direct.frequency));
+            assert.ok(cents < 0.01, `${frequency} Hz: ${fast.frequency} vs ${direct.frequency}`);
+            assert.ok(Math.abs(1200 * Math.log2(fast.frequency / frequency)) < 5,
+                `${frequency} Hz detected as ${fast.frequency}`);
+        }
+    });
+}
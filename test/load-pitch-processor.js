@@ -0,0 +1,96 @@
+// Loads pitch-processor.js outside an AudioWorklet, with the worklet globals stubbed, and
+// returns its global scope (the worklet's top-level functions are properties of it)
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE_PATH = path.join(__dirname, '..', 'pitch-processor.js');
+
+function loadPitchProcessor(sampleRate = 44100) {
+    const context = {
+        sampleRate,
+        currentTime: 0,
+        AudioWorkletProcessor: class {
+            constructor() {
+                this.port = { postMessage() {}, onmessage: null };
+            }
+        },
+        registerProcessor() {},
+        Math,
+        Float32Array,
+        Float64Array,
+        Uint32Array,
+        Map,
+        Object,
+        Array
+    };
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(SOURCE_PATH, 'utf8'), context, { filename: SOURCE_PATH });
+    return context;
+}
+
+// The difference function computed directly from its definition, in O(N^2)
+function directDifferenceFunction(buffer, maxSamples) {
+    const diff = new Float32Array(maxSamples);
+    for (let tau = 0; tau < maxSamples; tau++) {
+        let sum = 0;
+        for (let i = 0; i < maxSamples; i++) {
+            const delta = buffer[i] - buffer[i + tau];
+            sum += delta * delta;
+        }
+        diff[tau] = sum;
+    }
+    return diff;
+}
+
+// Synthetic test signals: a sine, a sawtooth, and a sung vowel ("ah") made of a sawtooth
+// pulse train through three formant resonators
+function sine(frequency, sampleRate, length) {
+    return Float32Array.from({ length }, (_, i) => 0.5 * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+}
+
+function sawtooth(frequency, sampleRate, length) {
+    return Float32Array.from({ length }, (_, i) => {
+        const phase = (frequency * i / sampleRate) % 1;
+        return 0.5 * (2 * phase - 1);
+    });
+}
+
+const VOWEL_FORMANTS = [[700, 110], [1220, 120], [2600, 160]];  // [centre Hz, bandwidth Hz]
+
+function formantVoice(frequency, sampleRate, length) {
+    // Run the resonators for a second first, so the window starts in steady state
+    const warmup = sampleRate;
+    let signal = Float64Array.from(sawtooth(frequency, sampleRate, warmup + length));
+    VOWEL_FORMANTS.forEach(([centre, bandwidth]) => {
+        const r = Math.exp(-Math.PI * bandwidth / sampleRate);
+        const a1 = 2 * r * Math.cos(2 * Math.PI * centre / sampleRate);
+        const a2 = -r * r;
+        const out = new Float64Array(signal.length);
+        for (let i = 0; i < signal.length; i++) {
+            out[i] = (1 - r) * signal[i] + a1 * (out[i - 1] || 0) + a2 * (out[i - 2] || 0);
+        }
+        signal = out;
+    });
+    const frame = signal.subarray(warmup);
+    const peak = frame.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+    return Float32Array.from(frame, v => 0.5 * v / peak);
+}
+
+const SIGNALS = { sine, sawtooth, formant: formantVoice };
+
+// Uniform white noise of a peak amplitude, the same for the same seed
+function noise(amplitude, length, seed = 1) {
+    let state = seed;
+    return Float32Array.from({ length }, () => {
+        state = (state * 16807) % 2147483647;
+        return amplitude * (2 * state / 2147483647 - 1);
+    });
+}
+
+// Add two signals sample by sample
+function mix(a, b) {
+    return a.map((v, i) => v + b[i]);
+}
+
+module.exports = { loadPitchProcessor, directDifferenceFunction, SIGNALS, noise, mix };
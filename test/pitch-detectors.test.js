@@ -0,0 +1,57 @@
+// Checks the pitch detectors in pitch-processor.js on synthetic signals
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPitchProcessor, SIGNALS, noise, mix } = require('./load-pitch-processor');
+
+const SAMPLE_RATE = 44100;
+const FRAME_SIZE = 4096;
+const DETECTORS = ['yin', 'mpm', 'pyin'];
+
+function cents(frequency, target) {
+    return 1200 * Math.log2(frequency / target);
+}
+
+for (const name of DETECTORS) {
+    test(`${name} gives a breathy frame clearly less confidence than a clean one`, () => {
+        const worklet = loadPitchProcessor(SAMPLE_RATE);
+        const clean = SIGNALS.formant(196, SAMPLE_RATE, FRAME_SIZE);
+        const breathy = mix(clean, noise(0.075, FRAME_SIZE));
+
+        const cleanResult = worklet.createPitchDetector(name).detect(clean, SAMPLE_RATE, true);
+        const breathyResult = worklet.createPitchDetector(name).detect(breathy, SAMPLE_RATE, true);
+
+        assert.ok(cleanResult.voiced && breathyResult.voiced, 'both frames are voiced');
+        assert.ok(Math.abs(cents(breathyResult.frequency, 196)) < 10, `breathy frame at ${breathyResult.frequency} Hz`);
+        assert.ok(cleanResult.confidence > 0.95, `clean confidence ${cleanResult.confidence}`);
+        assert.ok(breathyResult.confidence <= cleanResult.confidence - 0.1,
+            `breathy confidence ${breathyResult.confidence} vs clean ${cleanResult.confidence}`);
+    });
+}
+
+const FREQUENCIES = [82.41, 110, 196, 261.63, 440, 659.26, 880];
+
+for (const name of DETECTORS) {
+    for (const [signalName, makeSignal] of Object.entries(SIGNALS)) {
+        test(`${name} finds the pitch of ${signalName} signals`, () => {
+            const worklet = loadPitchProcessor(SAMPLE_RATE);
+            for (const frequency of FREQUENCIES) {
+                const result = worklet.createPitchDetector(name).detect(makeSignal(frequency, SAMPLE_RATE, FRAME_SIZE), SAMPLE_RATE, true);
+                assert.ok(result.voiced, `${frequency} Hz is voiced`);
+                assert.ok(Math.abs(cents(result.frequency, frequency)) < 5, `${frequency} Hz detected as ${result.frequency}`);
+            }
+        });
+    }
+
+    test(`${name} reports noise and gated frames as unvoiced`, () => {
+        const worklet = loadPitchProcessor(SAMPLE_RATE);
+        // One detector for the run, since pYIN's voicing follows the frames before
+        const detector = worklet.createPitchDetector(name);
+        for (let seed = 1; seed <= 10; seed++) {
+            const result = detector.detect(noise(0.3, FRAME_SIZE, seed), SAMPLE_RATE, true);
+            assert.strictEqual(result.voiced, false, `noise frame ${seed} at ${result.frequency} Hz`);
+        }
+
+        const tone = SIGNALS.sine(220, SAMPLE_RATE, FRAME_SIZE);
+        assert.strictEqual(worklet.createPitchDetector(name).detect(tone, SAMPLE_RATE, false).voiced, false);
+    });
+}
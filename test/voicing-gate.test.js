@@ -0,0 +1,53 @@
+// Checks the voicing gate in pitch-processor.js, before and after calibrating to room noise
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPitchProcessor, SIGNALS, noise, mix } = require('./load-pitch-processor');
+
+const SAMPLE_RATE = 44100;
+const FRAME_SIZE = 4096;
+const CALIBRATION_FRAMES = 20;
+
+// Steady room noise loud enough to open the uncalibrated gate, with a new stretch every frame
+const roomNoise = (frame) => noise(0.02, FRAME_SIZE, 1000 + frame);
+
+test('uncalibrated gate opens on a tone and stays closed on silence', () => {
+    const gate = loadPitchProcessor(SAMPLE_RATE).createVoicingGate(FRAME_SIZE);
+    assert.strictEqual(gate.process(new Float32Array(FRAME_SIZE)).open, false);
+    assert.strictEqual(gate.process(SIGNALS.sine(220, SAMPLE_RATE, FRAME_SIZE)).open, true);
+});
+
+test('calibrated gate stays closed on room noise and opens on a tone above it', () => {
+    const gate = loadPitchProcessor(SAMPLE_RATE).createVoicingGate(FRAME_SIZE);
+    assert.strictEqual(gate.process(roomNoise(0)).open, true, 'noise opens the gate before calibration');
+
+    gate.calibrate(CALIBRATION_FRAMES);
+    let profile = null;
+    for (let frame = 1; frame <= CALIBRATION_FRAMES; frame++) {
+        const result = gate.process(roomNoise(frame));
+        assert.strictEqual(result.open, false, 'the gate stays shut while calibrating');
+        if (result.calibration) profile = result.calibration;
+    }
+    assert.ok(profile, 'calibration finishes after its frames');
+    assert.ok(profile.threshold > profile.floor, 'the threshold sits above the noise floor');
+
+    for (let frame = 100; frame < 200; frame++) {
+        assert.strictEqual(gate.process(roomNoise(frame)).open, false, `noise frame ${frame}`);
+    }
+
+    const sung = mix(SIGNALS.sine(220, SAMPLE_RATE, FRAME_SIZE).map(v => v * 0.1), roomNoise(200));
+    assert.strictEqual(gate.process(sung).open, true, 'a tone over the noise opens the gate');
+});
+
+test('calibrated gate can be restored from a saved noise profile', () => {
+    const worklet = loadPitchProcessor(SAMPLE_RATE);
+    const calibrating = worklet.createVoicingGate(FRAME_SIZE);
+    calibrating.calibrate(CALIBRATION_FRAMES);
+    let profile = null;
+    for (let frame = 1; frame <= CALIBRATION_FRAMES; frame++) {
+        profile = calibrating.process(roomNoise(frame)).calibration || profile;
+    }
+
+    const gate = worklet.createVoicingGate(FRAME_SIZE, { spectrum: profile.spectrum, floor: profile.floor });
+    assert.strictEqual(gate.process(roomNoise(300)).open, false);
+    assert.strictEqual(gate.process(SIGNALS.sine(220, SAMPLE_RATE, FRAME_SIZE)).open, true);
+});